@@ -14,9 +14,98 @@ const config = {
   // AI Service URL
   aiUrl: process.env.AI_URL,
 
+  // Video job persistence (MongoDB)
+  jobsDbName: process.env.JOBS_DB_NAME || 'ai_generative',
+  jobsCollection: process.env.JOBS_COLLECTION || 'videoJobs',
+  // Completed/failed jobs are removed by a TTL index after this many hours
+  jobRetentionHours: parseInt(process.env.JOB_RETENTION_HOURS, 10) || 24,
+
+  // Number of video jobs allowed to run against D-ID at the same time
+  videoWorkerConcurrency: parseInt(process.env.VIDEO_WORKER_CONCURRENCY, 10) || 2,
+
+  // Completion webhooks - default signing secret when a request doesn't send one
+  webhookSecret: process.env.WEBHOOK_SECRET,
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+
+  // Retry policy for D-ID and S3 calls (exponential backoff with jitter)
+  retryMaxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS, 10) || 4,
+  retryBaseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS, 10) || 1000,
+  retryMaxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS, 10) || 30000,
+
+  // Repeated requests with the same idempotency key inside this window reuse the first result
+  idempotencyWindowMinutes: parseInt(process.env.IDEMPOTENCY_WINDOW_MINUTES, 10) || 15,
+
+  // Avatar video provider used when a job doesn't ask for one
+  videoProvider: process.env.VIDEO_PROVIDER || 'd-id',
+  // Optional per-tenant override, e.g. {"professional":"d-id"}
+  videoProviderByTenant: JSON.parse(process.env.VIDEO_PROVIDER_BY_TENANT || '{}'),
+
+  // Long scripts are rendered in chunks of at most this many characters and stitched together
+  scriptChunkMaxChars: parseInt(process.env.SCRIPT_CHUNK_MAX_CHARS, 10) || 3000,
+  // Times a single chunk is rendered before the whole job fails
+  scriptChunkMaxAttempts: parseInt(process.env.SCRIPT_CHUNK_MAX_ATTEMPTS, 10) || 3,
+  // ffmpeg binary used to stitch chunk clips
+  ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+
+  // Extra or overridden output presets, e.g. {"story":{"label":"Story","width":720,"height":1280,"captions":false}}
+  outputPresets: JSON.parse(process.env.OUTPUT_PRESETS || '{}'),
+  // Presets rendered when a job does not ask for any, comma separated
+  defaultOutputPresets: (process.env.DEFAULT_OUTPUT_PRESETS || 'landscape').split(',').map(name => name.trim()).filter(Boolean),
+
+  // Largest pre-recorded narration file accepted by /generate-and-upload
+  audioMaxBytes: parseInt(process.env.AUDIO_MAX_BYTES, 10) || 25 * 1024 * 1024,
+
+  // Size of each part when a video is streamed into storage (S3 minimum is 5 MB)
+  uploadPartSizeBytes: parseInt(process.env.UPLOAD_PART_SIZE_BYTES, 10) || 8 * 1024 * 1024,
+
+  // Where videos, audio and folder markers are stored: "s3" or "local" (a directory served under /assets)
+  storageBackend: process.env.STORAGE_BACKEND || 's3',
+  localStorageDir: process.env.LOCAL_STORAGE_DIR || 'assets',
+  // Base of the URLs handed out for locally stored files (defaults to http://localhost:PORT)
+  publicBaseUrl: process.env.PUBLIC_BASE_URL,
+
+  // Private bucket: subtopics keep the object key and playback goes through short-lived signed URLs
+  privateVideos: process.env.PRIVATE_VIDEOS === 'true',
+  // Lifetime of issued playback URLs
+  signedUrlTtlSeconds: parseInt(process.env.SIGNED_URL_TTL_SECONDS, 10) || 15 * 60,
+  // Signs the /api/media/play links stored in aiVideoUrl for older readers - rotate it to revoke them all
+  playbackUrlSecret: process.env.PLAYBACK_URL_SECRET,
+  // Set to "false" once nothing reads aiVideoUrl directly - the stored links then stop working
+  playbackRedirects: process.env.PLAYBACK_REDIRECTS !== 'false',
+  // Optional CloudFront distribution in front of the bucket - signed URLs are issued for it instead
+  cloudfrontDomain: process.env.CLOUDFRONT_DOMAIN,
+  cloudfrontKeyPairId: process.env.CLOUDFRONT_KEY_PAIR_ID,
+  cloudfrontPrivateKey: (process.env.CLOUDFRONT_PRIVATE_KEY || '').replace(/\\n/g, '\n'),
+
+  // Orphaned video cleanup - stored objects no subtopic, version or job points at
+  // Databases to cross-check, comma separated (empty = every database on the server).
+  // A partial list can't see other tenants' references, so it only allows dry runs
+  gcDatabases: (process.env.GC_DATABASES || '').split(',').map(name => name.trim()).filter(Boolean),
+  // Unreferenced objects younger than this are only reported (their upload may not be saved yet)
+  orphanGracePeriodHours: parseInt(process.env.ORPHAN_GRACE_PERIOD_HOURS, 10) || 72,
+  // Run the cleanup every N hours (0 = only through the API)
+  orphanGcIntervalHours: parseInt(process.env.ORPHAN_GC_INTERVAL_HOURS, 10) || 0,
+  // Scheduled runs only report unless this is "true"
+  orphanGcDelete: process.env.ORPHAN_GC_DELETE === 'true',
+
+  // Local stand-in for the D-ID API - no DID_API_KEY needed when this is on
+  useFakeDid: process.env.USE_FAKE_DID === 'true',
+  // How long a fake clip takes to render
+  fakeDidDelayMs: parseInt(process.env.FAKE_DID_DELAY_MS, 10) || 5000,
+  // Share (0-1) of fake create calls that fail with a simulated 429/500
+  fakeDidErrorRate: parseFloat(process.env.FAKE_DID_ERROR_RATE) || 0,
+  // MP4 served as the fake clip result, relative to the project root
+  fakeDidSampleVideo: process.env.FAKE_DID_SAMPLE_VIDEO || 'assets/sample-clip.mp4',
+
   // Validate required variables
   validateConfig() {
-    const required = ['DID_API_KEY', 'S3_BUCKET_NAME', 'MONGO_URI', 'SPRING_BOOT_URL', 'AI_URL'];
+    const required = ['S3_BUCKET_NAME', 'MONGO_URI', 'SPRING_BOOT_URL', 'AI_URL'];
+    if (!this.useFakeDid) {
+      required.unshift('DID_API_KEY');
+    }
+    if (this.privateVideos) {
+      required.push('PLAYBACK_URL_SECRET');
+    }
     const missing = required.filter(key => !process.env[key]);
     
     if (missing.length > 0) {
@@ -5,7 +5,16 @@ const { MongoClient, ObjectId } = require("mongodb");
 const path = require("path");
 const FormData = require('form-data');
 const fs = require("fs");
-const { S3Client, PutObjectCommand, CopyObjectCommand, DeleteObjectCommand, HeadObjectCommand } = require("@aws-sdk/client-s3");
+const { EventEmitter } = require("events");
+const crypto = require("crypto");
+const os = require("os");
+const { execFile } = require("child_process");
+const { pipeline: streamPipeline } = require("stream/promises");
+const {
+    S3Client, PutObjectCommand, CopyObjectCommand, DeleteObjectCommand, HeadObjectCommand, ListObjectsV2Command, GetObjectCommand,
+    CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
 require("dotenv").config();
 
 const config = require('./config');
@@ -30,6 +39,14 @@ app.use((req, res, next) => {
         // Quick health checks
         req.setTimeout(5000);
         res.setTimeout(5000);
+    } else if (req.path.startsWith('/api/job-status/') && req.path.endsWith('/stream')) {
+        // Server-Sent Events stay open until the job finishes
+        req.setTimeout(0);
+        res.setTimeout(0);
+    } else if (req.path === '/generate-and-upload' && req.is('multipart/form-data')) {
+        // Carries a pre-recorded audio file that is stored in S3 before responding
+        req.setTimeout(120000);
+        res.setTimeout(120000);
     } else if (req.path === '/generate-and-upload') {
         // Video generation - returns immediately
         req.setTimeout(15000);
@@ -86,6 +103,476 @@ const s3Client = new S3Client({
 
 const S3_BUCKET_NAME = process.env.S3_BUCKET_NAME || 'trilokinnovations-test-admin';
 const S3_BASE_FOLDER = 'subtopics/aivideospath';
+// Written by /api/create-s3-folder so an empty folder shows up in the console
+const FOLDER_MARKER_NAME = 'folder_placeholder.txt';
+
+// ✅ Storage backends - uploads, copies and the debug routes only talk to this interface:
+//   put(key, body, { contentType, metadata }) -> { key, url }
+//   putStream(key, stream, { contentType, metadata, onProgress, onAttempt })
+//                                               -> { key, url, size } (read in parts, never all in memory)
+//   copy(sourceKey, targetKey)                  -> { key, url }
+//   move(sourceKey, targetKey)                  -> { key, url } (the source is removed)
+//   delete(key)                                 -> true when the object is gone
+//   head(key)                                   -> { key, size, contentType, lastModified, metadata } or null
+//   list(prefix, { limit })                     -> [{ key, size, lastModified }]
+//   url(key)                                    -> URL the object is served from
+//   signedUrl(key, { expiresIn })               -> URL that works for expiresIn seconds, even on a private bucket
+//   keyFromUrl(url)                             -> key of a URL this store handed out, else null
+// Keys use the generateS3Path layout on every backend.
+const S3_REGION = process.env.AWS_REGION || 'ap-south-1';
+const S3_URL_PATTERN = /^https:\/\/(.+?)\.s3\.(.+?)\.amazonaws\.com\/(.+)$/;
+const STORAGE_LIST_LIMIT = 1000;
+// S3 needs every multipart part except the last to be at least 5 MB
+const UPLOAD_PART_SIZE_BYTES = Math.max(config.uploadPartSizeBytes, 5 * 1024 * 1024);
+
+// Re-chunks a readable stream into Buffers of `partSize` (the last one may be smaller).
+// The stream is only read as fast as the consumer takes parts, so one part is in memory at a time.
+async function* readStreamParts(stream, partSize = UPLOAD_PART_SIZE_BYTES) {
+    let buffered = [];
+    let size = 0;
+
+    for await (const chunk of stream) {
+        buffered.push(chunk);
+        size += chunk.length;
+
+        while (size >= partSize) {
+            const data = Buffer.concat(buffered, size);
+            yield data.subarray(0, partSize);
+            const rest = data.subarray(partSize);
+            buffered = rest.length > 0 ? [rest] : [];
+            size = rest.length;
+        }
+    }
+
+    if (size > 0) {
+        yield Buffer.concat(buffered, size);
+    }
+}
+
+function createS3Storage({ bucket, region = S3_REGION }) {
+    return {
+        name: 's3',
+        label: 'AWS S3',
+        storedIn: 'aws_s3',
+        bucket: bucket,
+
+        async put(key, body, { contentType, metadata } = {}) {
+            await s3Client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: body,
+                ContentType: contentType,
+                Metadata: metadata
+            }));
+            return { key, url: this.url(key) };
+        },
+
+        // Multipart upload with each part retried on its own; a failed upload is aborted so
+        // S3 keeps no orphaned parts
+        async putStream(key, stream, { contentType, metadata, onProgress, onAttempt } = {}) {
+            const { UploadId } = await withRetry(() => s3Client.send(new CreateMultipartUploadCommand({
+                Bucket: bucket,
+                Key: key,
+                ContentType: contentType,
+                Metadata: metadata
+            })), { label: 'S3 multipart start' });
+
+            const parts = [];
+            let size = 0;
+            try {
+                for await (const body of readStreamParts(stream)) {
+                    const partNumber = parts.length + 1;
+                    const { ETag } = await withRetry(() => s3Client.send(new UploadPartCommand({
+                        Bucket: bucket,
+                        Key: key,
+                        UploadId: UploadId,
+                        PartNumber: partNumber,
+                        Body: body
+                    })), { label: `S3 upload part ${partNumber}`, onAttempt: onAttempt });
+
+                    parts.push({ ETag: ETag, PartNumber: partNumber });
+                    size += body.length;
+                    if (onProgress) await onProgress(size);
+                }
+
+                if (parts.length === 0) {
+                    throw new Error("Downloaded video is empty");
+                }
+
+                await withRetry(() => s3Client.send(new CompleteMultipartUploadCommand({
+                    Bucket: bucket,
+                    Key: key,
+                    UploadId: UploadId,
+                    MultipartUpload: { Parts: parts }
+                })), { label: 'S3 multipart complete' });
+            } catch (error) {
+                stream.destroy();
+                try {
+                    await s3Client.send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: key, UploadId: UploadId }));
+                    console.log(`🧹 Aborted multipart upload of ${key} after ${parts.length} part(s)`);
+                } catch (abortError) {
+                    console.warn(`⚠️ Could not abort multipart upload ${UploadId}:`, abortError.message);
+                }
+                throw error;
+            }
+
+            return { key, url: this.url(key), size };
+        },
+
+        async copy(sourceKey, targetKey) {
+            await s3Client.send(new CopyObjectCommand({
+                Bucket: bucket,
+                CopySource: encodeURIComponent(`${bucket}/${sourceKey}`),
+                Key: targetKey,
+                MetadataDirective: 'COPY'
+            }));
+            return { key: targetKey, url: this.url(targetKey) };
+        },
+
+        async move(sourceKey, targetKey) {
+            const result = await this.copy(sourceKey, targetKey);
+            await this.delete(sourceKey);
+            return result;
+        },
+
+        async delete(key) {
+            await s3Client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+            return true;
+        },
+
+        async head(key) {
+            try {
+                const result = await s3Client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+                return {
+                    key: key,
+                    size: result.ContentLength,
+                    contentType: result.ContentType,
+                    lastModified: result.LastModified,
+                    metadata: result.Metadata || {}
+                };
+            } catch (error) {
+                if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+                throw error;
+            }
+        },
+
+        async list(prefix, { limit = STORAGE_LIST_LIMIT } = {}) {
+            const objects = [];
+            let continuationToken;
+            do {
+                const result = await s3Client.send(new ListObjectsV2Command({
+                    Bucket: bucket,
+                    Prefix: prefix,
+                    MaxKeys: Math.min(1000, limit - objects.length),
+                    ContinuationToken: continuationToken
+                }));
+                (result.Contents || []).forEach(object => objects.push({
+                    key: object.Key,
+                    size: object.Size,
+                    lastModified: object.LastModified
+                }));
+                continuationToken = result.IsTruncated ? result.NextContinuationToken : null;
+            } while (continuationToken && objects.length < limit);
+            return objects;
+        },
+
+        url(key) {
+            return `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
+        },
+
+        // Through CloudFront when a distribution fronts this bucket, else a presigned S3 GET
+        async signedUrl(key, { expiresIn = SIGNED_URL_TTL_SECONDS } = {}) {
+            if (config.cloudfrontDomain && config.cloudfrontKeyPairId && config.cloudfrontPrivateKey && bucket === S3_BUCKET_NAME) {
+                return signCloudFrontUrl(`https://${config.cloudfrontDomain}/${encodeStorageKey(key)}`, expiresIn);
+            }
+            return getSignedUrl(s3Client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+        },
+
+        keyFromUrl(url) {
+            const match = String(url || '').match(S3_URL_PATTERN);
+            return match && match[1] === bucket ? match[3] : null;
+        },
+
+        location(key) {
+            return `s3://${bucket}/${key}`;
+        },
+
+        consoleUrl(prefix) {
+            return `https://s3.console.aws.amazon.com/s3/buckets/${bucket}/prefix=${prefix}`;
+        },
+
+        describe() {
+            return { backend: 's3', bucket: bucket, region: region };
+        }
+    };
+}
+
+// Files live under `root`, content type and metadata in root/.meta/<key>.json
+// (not served - the /assets mounts ignore dotfiles)
+function createLocalStorage({ root, baseUrl }) {
+    const rootDir = path.resolve(root);
+    const metaDir = path.join(rootDir, '.meta');
+
+    const resolveKey = (key) => {
+        const filePath = path.resolve(rootDir, key);
+        if (!filePath.startsWith(rootDir + path.sep) || filePath.startsWith(metaDir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+    const metaPath = (key) => path.join(metaDir, `${path.relative(rootDir, resolveKey(key))}.json`);
+
+    const writeMeta = async (key, meta) => {
+        await fs.promises.mkdir(path.dirname(metaPath(key)), { recursive: true });
+        await fs.promises.writeFile(metaPath(key), JSON.stringify(meta));
+    };
+    const readMeta = async (key) => {
+        try {
+            return JSON.parse(await fs.promises.readFile(metaPath(key), 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    };
+
+    return {
+        name: 'local',
+        label: 'local storage',
+        storedIn: 'local',
+        bucket: null,
+
+        async put(key, body, { contentType, metadata } = {}) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, body);
+            await writeMeta(key, { contentType: contentType || null, metadata: metadata || {} });
+            return { key, url: this.url(key) };
+        },
+
+        // Written to a temporary file and renamed into place, so a failed upload leaves nothing behind
+        async putStream(key, stream, { contentType, metadata, onProgress } = {}) {
+            const filePath = resolveKey(key);
+            const tempPath = `${filePath}.${process.pid}.${Date.now()}.partial`;
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+            let size = 0;
+            try {
+                const handle = await fs.promises.open(tempPath, 'w');
+                try {
+                    for await (const body of readStreamParts(stream)) {
+                        await handle.write(body);
+                        size += body.length;
+                        if (onProgress) await onProgress(size);
+                    }
+                } finally {
+                    await handle.close();
+                }
+
+                if (size === 0) {
+                    throw new Error("Downloaded video is empty");
+                }
+                await fs.promises.rename(tempPath, filePath);
+            } catch (error) {
+                stream.destroy();
+                await fs.promises.rm(tempPath, { force: true });
+                throw error;
+            }
+
+            await writeMeta(key, { contentType: contentType || null, metadata: metadata || {} });
+            return { key, url: this.url(key), size };
+        },
+
+        async copy(sourceKey, targetKey) {
+            const targetPath = resolveKey(targetKey);
+            await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+            await fs.promises.copyFile(resolveKey(sourceKey), targetPath);
+            await writeMeta(targetKey, await readMeta(sourceKey));
+            return { key: targetKey, url: this.url(targetKey) };
+        },
+
+        async move(sourceKey, targetKey) {
+            const result = await this.copy(sourceKey, targetKey);
+            await this.delete(sourceKey);
+            return result;
+        },
+
+        async delete(key) {
+            await fs.promises.rm(resolveKey(key), { force: true });
+            await fs.promises.rm(metaPath(key), { force: true });
+            return true;
+        },
+
+        async head(key) {
+            try {
+                const stats = await fs.promises.stat(resolveKey(key));
+                if (!stats.isFile()) return null;
+                const meta = await readMeta(key);
+                return {
+                    key: key,
+                    size: stats.size,
+                    contentType: meta.contentType || null,
+                    lastModified: stats.mtime,
+                    metadata: meta.metadata || {}
+                };
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async list(prefix, { limit = STORAGE_LIST_LIMIT } = {}) {
+            // Walk from the deepest directory the prefix names, then filter on the full prefix
+            const startKey = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+            const objects = [];
+            const walk = async (dir) => {
+                let entries;
+                try {
+                    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+                } catch (error) {
+                    if (error.code === 'ENOENT') return;
+                    throw error;
+                }
+                for (const entry of entries) {
+                    if (objects.length >= limit) return;
+                    const entryPath = path.join(dir, entry.name);
+                    if (entryPath === metaDir) continue;
+                    const key = path.relative(rootDir, entryPath).split(path.sep).join('/');
+                    if (entry.isDirectory()) {
+                        if (key.startsWith(prefix) || prefix.startsWith(`${key}/`)) await walk(entryPath);
+                    } else if (entry.isFile() && key.startsWith(prefix)) {
+                        const stats = await fs.promises.stat(entryPath);
+                        objects.push({ key, size: stats.size, lastModified: stats.mtime });
+                    }
+                }
+            };
+            await walk(startKey ? resolveKey(startKey) : rootDir);
+            return objects;
+        },
+
+        url(key) {
+            return `${baseUrl}/assets/${encodeStorageKey(key)}`;
+        },
+
+        // Local files have no private mode - they are always served under /assets
+        async signedUrl(key) {
+            return this.url(key);
+        },
+
+        keyFromUrl(url) {
+            const value = String(url || '');
+            const prefix = value.startsWith('/assets/') ? '/assets/' : `${baseUrl}/assets/`;
+            if (!value.startsWith(prefix)) return null;
+            try {
+                return decodeURIComponent(value.slice(prefix.length));
+            } catch (error) {
+                return null;
+            }
+        },
+
+        location(key) {
+            return resolveKey(key);
+        },
+
+        consoleUrl(prefix) {
+            return this.url(prefix);
+        },
+
+        describe() {
+            return { backend: 'local', directory: rootDir, baseUrl: `${baseUrl}/assets/` };
+        }
+    };
+}
+
+function encodeStorageKey(key) {
+    return key.split('/').map(encodeURIComponent).join('/');
+}
+
+const PUBLIC_BASE_URL = (config.publicBaseUrl || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const LOCAL_STORAGE_ROOT = path.resolve(__dirname, config.localStorageDir);
+const storage = config.storageBackend === 'local'
+    ? createLocalStorage({ root: LOCAL_STORAGE_ROOT, baseUrl: PUBLIC_BASE_URL })
+    : createS3Storage({ bucket: S3_BUCKET_NAME });
+
+// The configured store, or (S3 only) the same store for another bucket named by a request
+function getStorage(bucket) {
+    if (!bucket || storage.name !== 's3' || bucket === storage.bucket) {
+        return storage;
+    }
+    return createS3Storage({ bucket });
+}
+
+// ✅ Private videos - with PRIVATE_VIDEOS on the bucket is not public. Subtopics and jobs keep the
+// object key (s3Path); aiVideoUrl holds a /api/media/play link for older readers, which checks
+// the link's HMAC and redirects to a short-lived signed URL. Stored links don't expire - readers
+// keep them for good - so they are revoked all at once by rotating PLAYBACK_URL_SECRET (then
+// re-run the private migration to re-sign them). New readers ask /api/subtopics/:subtopicId/video-url
+// for expiring signed URLs directly. Subtopics saved while the bucket was public are switched over
+// with POST /api/storage/private-migration.
+const PRIVATE_VIDEOS = config.privateVideos;
+const SIGNED_URL_TTL_SECONDS = config.signedUrlTtlSeconds;
+// S3 presigned URLs can't live longer than 7 days
+const SIGNED_URL_MAX_TTL_SECONDS = 7 * 24 * 60 * 60;
+// Providers fetch uploaded recordings themselves, possibly hours later after queueing and retries
+const PROVIDER_MEDIA_URL_TTL_SECONDS = 6 * 60 * 60;
+const PLAYBACK_PATH = '/api/media/play/';
+
+// CloudFront canned-policy signature (RSA-SHA1, URL-safe base64 as CloudFront expects it)
+function signCloudFrontUrl(url, expiresIn) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const policy = JSON.stringify({
+        Statement: [{ Resource: url, Condition: { DateLessThan: { 'AWS:EpochTime': expires } } }]
+    });
+    const signature = crypto.createSign('RSA-SHA1').update(policy).sign(config.cloudfrontPrivateKey, 'base64')
+        .replace(/\+/g, '-')
+        .replace(/=/g, '_')
+        .replace(/\//g, '~');
+    return `${url}?Expires=${expires}&Signature=${signature}&Key-Pair-Id=${config.cloudfrontKeyPairId}`;
+}
+
+function signPlaybackKey(key) {
+    return crypto.createHmac('sha256', config.playbackUrlSecret || '').update(key).digest('base64url');
+}
+
+function getPlaybackUrl(key) {
+    return `${PUBLIC_BASE_URL}${PLAYBACK_PATH}${encodeStorageKey(key)}?sig=${signPlaybackKey(key)}`;
+}
+
+// The URL saved on subtopics, jobs and webhooks for an object in the configured store
+function toStoredUrl(key) {
+    return PRIVATE_VIDEOS ? getPlaybackUrl(key) : storage.url(key);
+}
+
+// Key behind a URL this server handed out - a storage URL or a playback link
+// (null for anything else, including a playback path that isn't valid percent-encoding)
+function keyFromStoredUrl(url) {
+    const value = String(url || '');
+    const playbackIndex = value.indexOf(PLAYBACK_PATH);
+    if (playbackIndex !== -1) {
+        const encodedKey = value.slice(playbackIndex + PLAYBACK_PATH.length).split('?')[0];
+        try {
+            return encodedKey.split('/').map(decodeURIComponent).join('/') || null;
+        } catch (error) {
+            return null;
+        }
+    }
+    return storage.keyFromUrl(value);
+}
+
+// URL a provider downloads one of our uploads from - signed directly, as it may not follow redirects
+async function getProviderMediaUrl(key, storedUrl) {
+    if (!PRIVATE_VIDEOS || !key) return storedUrl;
+    return storage.signedUrl(key, { expiresIn: PROVIDER_MEDIA_URL_TTL_SECONDS });
+}
+
+// Which store a stored file's URL belongs to, and its key there
+function locateStoredObject(url) {
+    const key = keyFromStoredUrl(url);
+    if (key) {
+        return { store: storage, key };
+    }
+
+    const match = storage.name === 's3' && String(url || '').match(S3_URL_PATTERN);
+    return match ? { store: createS3Storage({ bucket: match[1], region: match[2] }), key: match[3] } : null;
+}
 
 
 // ✅ CORS configuration
@@ -120,7 +607,7 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'Idempotency-Key'],
     exposedHeaders: ['Content-Length', 'Content-Type'],
     preflightContinue: false,
     optionsSuccessStatus: 204,
@@ -135,7 +622,12 @@ app.use(cors({
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(express.static(path.join(__dirname, "public")));
-app.use("/assets", express.static(path.join(__dirname, "assets")));
+// dotfiles are ignored so the local storage backend's .meta folder is never served
+app.use("/assets", express.static(path.join(__dirname, "assets"), { dotfiles: 'ignore' }));
+// Local storage backend outside the assets folder is served under the same prefix
+if (storage.name === 'local' && LOCAL_STORAGE_ROOT !== path.join(__dirname, "assets")) {
+    app.use("/assets", express.static(LOCAL_STORAGE_ROOT, { dotfiles: 'ignore' }));
+}
 
 app.get("/", (req, res) => {
     res.sendFile(path.join(__dirname, "public", "index.html"));
@@ -154,6 +646,11 @@ async function connectDB() {
     try {
         await client.connect();
         console.log("✅ Connected to MongoDB");
+        await ensureJobIndexes();
+        await ensurePresenters();
+        await resumeInFlightJobs();
+        await resumePendingWebhooks();
+        scheduleOrphanCleanup();
     } catch (err) {
         console.error("❌ MongoDB connection error:", err);
         process.exit(1);
@@ -271,113 +768,518 @@ function findInNestedStructure(obj, targetId, path = '') {
     return null;
 }
 
+// Subtopic object itself (wherever it is nested), or null
+async function getSubtopicNode(subtopicId, dbname, subjectName) {
+    const result = await findSubtopicInDatabase(subtopicId, dbname, subjectName);
+    if (!result.found) return null;
+
+    const foundPath = findInNestedStructure(result.document, subtopicId);
+    if (!foundPath) return null;
+    if (foundPath === 'root') return result.document;
+
+    // Walk a path like "units[0].subtopics[2]"
+    return foundPath.split('.').reduce((node, segment) => {
+        const [, field, index] = segment.match(/^(\w+)\[(\d+)\]$/);
+        return node[field][Number(index)];
+    }, result.document);
+}
+
 function getDB(dbname = "professional") {
     return client.db(dbname);
 }
 
-// ✅ D-ID API key
-if (!process.env.DID_API_KEY) {
-    console.error("❌ Missing DID_API_KEY in .env");
+// ✅ D-ID API key - not needed when the local fake D-ID is switched on
+if (!process.env.DID_API_KEY && !config.useFakeDid) {
+    console.error("❌ Missing DID_API_KEY in .env (set USE_FAKE_DID=true to develop without one)");
     process.exit(1);
 }
-const DID_API_KEY = `Basic ${Buffer.from(process.env.DID_API_KEY).toString("base64")}`;
+const DID_API_KEY = `Basic ${Buffer.from(process.env.DID_API_KEY || "fake-did").toString("base64")}`;
+
+// ✅ Every D-ID call goes through this base URL so USE_FAKE_DID can point the whole server at the stand-in
+const FAKE_DID_PATH = '/fake-did';
+const DID_API_URL = config.useFakeDid ? `http://127.0.0.1:${PORT}${FAKE_DID_PATH}` : "https://api.d-id.com";
+
+// ✅ Local stand-in for the D-ID API (offline development and CI)
+// Mimics /clips, /clips/:id, /settings/logo and /presenters closely enough for the job pipeline.
+// Clips go created -> started -> done after FAKE_DID_DELAY_MS and resolve to a sample MP4.
+// Put one of these markers in the script to force a failure path:
+//   [fake-did:error]     clip finishes with status "error"
+//   [fake-did:rejected]  clip finishes with status "rejected"
+//   [fake-did:429]       create call is rate limited (Retry-After: 1)
+//   [fake-did:500]       create call fails with a server error
+// FAKE_DID_ERROR_RATE (0-1) additionally fails that share of create calls with a random 429/500.
+const fakeDidClips = new Map();
+let fakeDidLogo = null;
+
+// Minimal ISO-BMFF header, served when FAKE_DID_SAMPLE_VIDEO points at a missing file. Enough for
+// the download/upload path, not a playable video - stitching and output presets need the real
+// 2-second clip that ships as assets/sample-clip.mp4 (the default).
+const FAKE_DID_PLACEHOLDER_MP4 = Buffer.from([
+    0x00, 0x00, 0x00, 0x18, 0x66, 0x74, 0x79, 0x70, 0x69, 0x73, 0x6f, 0x6d,
+    0x00, 0x00, 0x02, 0x00, 0x69, 0x73, 0x6f, 0x6d, 0x6d, 0x70, 0x34, 0x31
+]);
+
+function fakeDidError(res, status, kind, description) {
+    return res.status(status).json({ kind: kind, description: description });
+}
 
-// ✅ FIXED: Job status tracking at the top
-const jobStatus = new Map();
+function getFakeDidClipView(clip) {
+    const elapsed = Date.now() - clip.createdAt;
+    const view = {
+        id: clip.id,
+        object: "clip",
+        presenter_id: clip.presenterId,
+        created_at: new Date(clip.createdAt).toISOString(),
+        status: "created"
+    };
 
-// ✅ UPDATED: Improved recursive helper function based on Spring Boot structure
-function updateNestedSubtopicRecursive(subtopics, targetId, aiVideoUrl) {
-    for (let i = 0; i < subtopics.length; i++) {
-        const subtopic = subtopics[i];
+    if (elapsed >= config.fakeDidDelayMs) {
+        if (clip.outcome === "done") {
+            view.status = "done";
+            view.result_url = `${DID_API_URL}/clips/${clip.id}/result.mp4`;
+            view.duration = clip.duration;
+        } else {
+            view.status = clip.outcome;
+            view.error = { kind: "FakeDidError", description: `Simulated ${clip.outcome} clip` };
+        }
+    } else if (elapsed >= Math.min(1000, config.fakeDidDelayMs / 2)) {
+        view.status = "started";
+    }
 
-        // Check if this is the target subtopic
-        if (subtopic._id === targetId || subtopic.id === targetId ||
-            (subtopic._id && subtopic._id.toString() === targetId)) {
+    return view;
+}
 
-            subtopic.aiVideoUrl = aiVideoUrl;
-            subtopic.updatedAt = new Date();
-            subtopic.videoStorage = aiVideoUrl.includes('amazonaws.com') ? "aws_s3" : "d_id";
+const fakeDidRouter = express.Router();
 
-            if (aiVideoUrl.includes('amazonaws.com')) {
-                subtopic.s3Path = aiVideoUrl.split('.com/')[1];
-            }
+fakeDidRouter.use((req, res, next) => {
+    if (!(req.headers.authorization || "").startsWith("Basic ")) {
+        return fakeDidError(res, 401, "AuthorizationError", "Missing Basic authorization header");
+    }
+    next();
+});
 
-            console.log(`✅ Updated nested subtopic: ${targetId} with URL: ${aiVideoUrl}`);
-            return true;
-        }
+fakeDidRouter.post("/clips", (req, res) => {
+    const { presenter_id, script } = req.body || {};
+    const isAudio = script && script.type === "audio";
+    // Audio scripts have no text, so markers can't be used with them
+    const input = isAudio ? "" : (script && script.input);
 
-        // Recursively search in child arrays - matching Spring Boot structure
-        if (subtopic.units && Array.isArray(subtopic.units)) {
-            const found = updateNestedSubtopicRecursive(subtopic.units, targetId, aiVideoUrl);
-            if (found) return true;
-        }
+    if (!presenter_id || (isAudio ? !script.audio_url : !input)) {
+        return fakeDidError(res, 400, "ValidationError", "presenter_id and script.input (or script.audio_url) are required");
+    }
+    const randomFailure = Math.random() < config.fakeDidErrorRate;
+    if (input.includes("[fake-did:429]") || (randomFailure && Math.random() < 0.5)) {
+        res.set("Retry-After", "1");
+        return fakeDidError(res, 429, "TooManyRequestsError", "Simulated rate limit");
+    }
+    if (input.includes("[fake-did:500]") || randomFailure) {
+        return fakeDidError(res, 500, "InternalServerError", "Simulated server error");
+    }
 
-        if (subtopic.children && Array.isArray(subtopic.children)) {
-            const found = updateNestedSubtopicRecursive(subtopic.children, targetId, aiVideoUrl);
-            if (found) return true;
-        }
+    let outcome = "done";
+    if (input.includes("[fake-did:error]")) outcome = "error";
+    if (input.includes("[fake-did:rejected]")) outcome = "rejected";
+
+    const clip = {
+        id: `clp_fake_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        presenterId: presenter_id,
+        createdAt: Date.now(),
+        outcome: outcome,
+        // Roughly 150 words per minute, like a real narration
+        duration: isAudio ? 30 : Math.max(1, Math.round(input.split(/\s+/).length / 2.5))
+    };
+    fakeDidClips.set(clip.id, clip);
 
-        if (subtopic.subtopics && Array.isArray(subtopic.subtopics)) {
-            const found = updateNestedSubtopicRecursive(subtopic.subtopics, targetId, aiVideoUrl);
-            if (found) return true;
-        }
+    console.log(`🧪 Fake D-ID created clip ${clip.id} (${outcome})`);
+    res.status(201).json({ id: clip.id, object: "clip", created_at: new Date(clip.createdAt).toISOString(), status: "created" });
+});
+
+fakeDidRouter.get("/clips/:clipId", (req, res) => {
+    const clip = fakeDidClips.get(req.params.clipId);
+    if (!clip) {
+        return fakeDidError(res, 404, "NotFoundError", `Clip ${req.params.clipId} not found`);
     }
-    return false;
-}
+    res.json(getFakeDidClipView(clip));
+});
 
-// ✅ UPDATED: Helper function for direct subtopic update
-async function updateDirectSubtopic(collection, subtopicId, videoUrl) {
-    console.log(`🔍 Direct update for subtopicId: ${subtopicId}`);
+fakeDidRouter.delete("/clips/:clipId", (req, res) => {
+    if (!fakeDidClips.delete(req.params.clipId)) {
+        return fakeDidError(res, 404, "NotFoundError", `Clip ${req.params.clipId} not found`);
+    }
+    res.json({ id: req.params.clipId, deleted: true });
+});
 
-    const strategies = [
-        // Strategy 1: Update in units array using _id (String)
-        {
-            query: { "units._id": subtopicId },
-            update: { $set: { "units.$.aiVideoUrl": videoUrl, "units.$.updatedAt": new Date() } },
-            location: "nested_units_string_id"
-        },
-        // Strategy 2: Update in units array using id field
-        {
-            query: { "units.id": subtopicId },
-            update: { $set: { "units.$.aiVideoUrl": videoUrl, "units.$.updatedAt": new Date() } },
-            location: "nested_units_string_id_field"
-        },
-        // Strategy 3: Update as main document using _id
-        {
-            query: { "_id": subtopicId },
-            update: { $set: { aiVideoUrl: videoUrl, updatedAt: new Date() } },
-            location: "main_document_string"
+fakeDidRouter.get("/presenters", (req, res) => {
+    res.json({
+        presenters: DEFAULT_PRESENTERS.map(presenter => ({
+            presenter_id: presenter.presenterId,
+            name: presenter.name,
+            thumbnail_url: presenter.thumbnailUrl
+        }))
+    });
+});
+
+fakeDidRouter.get("/settings/logo", (req, res) => {
+    if (!fakeDidLogo) {
+        return fakeDidError(res, 404, "NotFoundError", "No logo configured");
+    }
+    res.json(fakeDidLogo);
+});
+
+fakeDidRouter.post("/settings/logo", (req, res) => {
+    const multer = require('multer');
+    multer({ storage: multer.memoryStorage() }).single('logo')(req, res, (err) => {
+        if (err || !req.file) {
+            return fakeDidError(res, 400, "ValidationError", err ? err.message : "logo file is required");
         }
-    ];
+        fakeDidLogo = {
+            url: `${DID_API_URL}/settings/logo/${req.file.originalname}`,
+            position: [parseInt(req.body.top, 10) || 0, parseInt(req.body.left, 10) || 0]
+        };
+        res.status(201).json(fakeDidLogo);
+    });
+});
 
-    // Try ObjectId strategies if possible
-    try {
-        const objectId = new ObjectId(subtopicId);
-        strategies.push(
-            {
-                query: { "_id": objectId },
-                update: { $set: { aiVideoUrl: videoUrl, updatedAt: new Date() } },
-                location: "main_document_objectid"
-            },
-            {
-                query: { "units._id": objectId },
-                update: { $set: { "units.$.aiVideoUrl": videoUrl, "units.$.updatedAt": new Date() } },
-                location: "nested_units_objectid"
-            }
-        );
-        console.log(`✅ Added ObjectId strategies for: ${subtopicId}`);
-    } catch (e) {
-        console.log(`⚠️ Cannot convert to ObjectId: ${e.message}`);
+fakeDidRouter.delete("/settings/logo", (req, res) => {
+    fakeDidLogo = null;
+    res.json({ deleted: true });
+});
+
+// Result downloads are unauthenticated, like the pre-signed URLs D-ID hands out
+app.get(`${FAKE_DID_PATH}/clips/:clipId/result.mp4`, (req, res) => {
+    const clip = fakeDidClips.get(req.params.clipId);
+    if (!config.useFakeDid || !clip) {
+        return res.status(404).json({ error: "Clip not found" });
     }
 
-    for (const strategy of strategies) {
-        try {
-            console.log(`🔍 Trying direct update strategy: ${strategy.location}`);
+    const samplePath = path.resolve(__dirname, config.fakeDidSampleVideo);
+    if (fs.existsSync(samplePath)) {
+        return res.type("video/mp4").sendFile(samplePath);
+    }
+    console.warn(`⚠️ Fake D-ID sample video not found at ${samplePath}, serving an unplayable placeholder`);
+    res.type("video/mp4").send(FAKE_DID_PLACEHOLDER_MP4);
+});
 
-            const result = await collection.updateOne(strategy.query, strategy.update);
-            console.log(`📊 Result for ${strategy.location}: Matched ${result.matchedCount}, Modified ${result.modifiedCount}`);
+if (config.useFakeDid) {
+    app.use(FAKE_DID_PATH, fakeDidRouter);
+    console.log(`🧪 USE_FAKE_DID is on - D-ID calls go to ${DID_API_URL}`);
+}
 
-            if (result.matchedCount > 0) {
+// ✅ Job status tracking - persisted in MongoDB so jobs survive restarts and deploys
+const JOBS_DB_NAME = config.jobsDbName;
+const JOBS_COLLECTION = config.jobsCollection;
+const JOB_RETENTION_SECONDS = config.jobRetentionHours * 3600;
+const TERMINAL_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Emits `job:<jobId>` (for the SSE stream) and `update` (jobId, fields) on every job update
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+function getJobsCollection() {
+    return client.db(JOBS_DB_NAME).collection(JOBS_COLLECTION);
+}
+
+// ✅ Indexes for job lookups plus a TTL index that expires finished jobs
+async function ensureJobIndexes() {
+    try {
+        const jobs = getJobsCollection();
+        await jobs.createIndex({ jobId: 1 }, { unique: true });
+        await jobs.createIndex({ startedAt: -1, jobId: -1 });
+        await jobs.createIndex({ status: 1, startedAt: -1 });
+        await jobs.createIndex({ subtopicId: 1, startedAt: -1 });
+        await jobs.createIndex({ dbname: 1, subjectName: 1 });
+        await jobs.createIndex({ batchId: 1 });
+        await getBatchesCollection().createIndex({ batchId: 1 }, { unique: true });
+        await getIdempotencyCollection().createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        await getQuestionTemplatesCollection().createIndex({ templateId: 1 }, { unique: true });
+        await getQuestionTemplatesCollection().createIndex({ dbname: 1, subjectName: 1, language: 1 });
+        await getVideoThemesCollection().createIndex({ themeId: 1 }, { unique: true });
+        // One theme per scope, so resolution is never ambiguous
+        await getVideoThemesCollection().createIndex({ dbname: 1, subjectName: 1, standard: 1 }, { unique: true });
+        await getVideoVersionsCollection().createIndex({ versionId: 1 }, { unique: true });
+        // Also hands out version numbers, see recordVideoVersion
+        await getVideoVersionsCollection().createIndex({ dbname: 1, subjectName: 1, subtopicId: 1, version: -1 }, { unique: true });
+        await getOrphanCleanupsCollection().createIndex({ runId: 1 }, { unique: true });
+        await getOrphanCleanupsCollection().createIndex({ startedAt: -1 });
+        // Documents are removed once expiresAt passes (only set on finished jobs)
+        await jobs.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+        const deliveries = getWebhookDeliveriesCollection();
+        await deliveries.createIndex({ deliveryId: 1 }, { unique: true });
+        await deliveries.createIndex({ jobId: 1, createdAt: 1 });
+        await deliveries.createIndex({ status: 1 });
+        await deliveries.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        console.log(`✅ Job indexes ready on ${JOBS_DB_NAME}.${JOBS_COLLECTION}`);
+    } catch (error) {
+        console.error("❌ Failed to create job indexes:", error.message);
+    }
+}
+
+async function createJob(jobId, data) {
+    const job = {
+        ...data,
+        jobId: jobId,
+        startedAt: new Date(),
+        updatedAt: new Date()
+    };
+    await getJobsCollection().insertOne(job);
+    return job;
+}
+
+// Fields never returned by the job APIs
+const JOB_PRIVATE_FIELDS = { _id: 0, callbackSecret: 0 };
+
+async function getJob(jobId) {
+    return getJobsCollection().findOne({ jobId: jobId }, { projection: JOB_PRIVATE_FIELDS });
+}
+
+// ✅ Merge fields into a job; finished jobs get an expiresAt for the TTL index.
+// Never throws - a failed status write must not abort the video pipeline.
+async function updateJob(jobId, fields) {
+    try {
+        const update = { ...fields, updatedAt: new Date() };
+
+        if (TERMINAL_JOB_STATUSES.includes(fields.status)) {
+            update.expiresAt = new Date(Date.now() + JOB_RETENTION_SECONDS * 1000);
+        }
+
+        await getJobsCollection().updateOne({ jobId: jobId }, { $set: update });
+        jobEvents.emit(`job:${jobId}`, update);
+        jobEvents.emit('update', jobId, update);
+    } catch (error) {
+        console.error(`❌ Failed to update job ${jobId}:`, error.message);
+    }
+}
+
+// ✅ Job listing - filters, cursor pagination and summary stats for /api/jobs
+const JOB_SORT_FIELDS = ['startedAt', 'updatedAt'];
+// Bulky fields left out of list responses (still available from /api/job-status/:jobId)
+const JOB_LIST_PROJECTION = { ...JOB_PRIVATE_FIELDS, databaseResult: 0, jobParams: 0 };
+
+function parseDateParam(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Returns { filter } or { error } for a bad query string
+function buildJobFilter(query) {
+    const filter = {};
+
+    if (query.status) {
+        filter.status = { $in: String(query.status).split(',').map(s => s.trim()) };
+    }
+
+    for (const field of ['dbname', 'subjectName', 'subtopicId', 'presenter', 'batchId']) {
+        if (query[field]) {
+            filter[field] = String(query[field]);
+        }
+    }
+
+    if (query.from || query.to) {
+        filter.startedAt = {};
+        if (query.from) {
+            const from = parseDateParam(query.from);
+            if (!from) return { error: "Invalid 'from' date" };
+            filter.startedAt.$gte = from;
+        }
+        if (query.to) {
+            const to = parseDateParam(query.to);
+            if (!to) return { error: "Invalid 'to' date" };
+            filter.startedAt.$lte = to;
+        }
+    }
+
+    return { filter };
+}
+
+function encodeJobCursor(job, sortField) {
+    return Buffer.from(JSON.stringify({ v: job[sortField], id: job.jobId })).toString('base64url');
+}
+
+function decodeJobCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        const value = parseDateParam(decoded.v);
+        return value && decoded.id ? { value, jobId: decoded.id } : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+async function findJobs(filter, { sortField = 'startedAt', sortOrder = -1, limit = 50, cursor = null } = {}) {
+    const query = { ...filter };
+
+    // Keyset pagination: continue after the last (sortField, jobId) pair of the previous page
+    if (cursor) {
+        const op = sortOrder === -1 ? '$lt' : '$gt';
+        query.$and = [{
+            $or: [
+                { [sortField]: { [op]: cursor.value } },
+                { [sortField]: cursor.value, jobId: { [op]: cursor.jobId } }
+            ]
+        }];
+    }
+
+    const jobs = await getJobsCollection()
+        .find(query, { projection: JOB_LIST_PROJECTION })
+        .sort({ [sortField]: sortOrder, jobId: sortOrder })
+        .limit(limit + 1)
+        .toArray();
+
+    const hasMore = jobs.length > limit;
+    const page = hasMore ? jobs.slice(0, limit) : jobs;
+
+    return {
+        jobs: page,
+        nextCursor: hasMore ? encodeJobCursor(page[page.length - 1], sortField) : null
+    };
+}
+
+async function summarizeJobs(filter) {
+    const [result] = await getJobsCollection().aggregate([
+        { $match: filter },
+        {
+            $facet: {
+                byStatus: [
+                    { $group: { _id: '$status', count: { $sum: 1 } } }
+                ],
+                renderTime: [
+                    { $match: { status: 'completed', completedAt: { $type: 'date' } } },
+                    {
+                        $group: {
+                            _id: null,
+                            // Time from leaving the queue to completion
+                            avgMs: { $avg: { $subtract: ['$completedAt', { $ifNull: ['$dequeuedAt', '$startedAt'] }] } },
+                            count: { $sum: 1 }
+                        }
+                    }
+                ],
+                failureReasons: [
+                    { $match: { status: 'failed' } },
+                    { $group: { _id: { $ifNull: ['$error', 'Unknown error'] }, count: { $sum: 1 }, lastSeen: { $max: '$failedAt' } } },
+                    { $sort: { count: -1 } },
+                    { $limit: 20 }
+                ]
+            }
+        }
+    ]).toArray();
+
+    const byStatus = {};
+    let total = 0;
+    for (const row of result.byStatus) {
+        byStatus[row._id || 'unknown'] = row.count;
+        total += row.count;
+    }
+
+    const render = result.renderTime[0];
+
+    return {
+        total: total,
+        byStatus: byStatus,
+        averageRenderSeconds: render ? Math.round(render.avgMs / 1000) : null,
+        completedCount: render ? render.count : 0,
+        failureReasons: result.failureReasons.map(row => ({
+            error: row._id,
+            count: row.count,
+            lastSeen: row.lastSeen
+        }))
+    };
+}
+
+// ✅ UPDATED: Improved recursive helper function based on Spring Boot structure
+function updateNestedSubtopicRecursive(subtopics, targetId, aiVideoUrl) {
+    for (let i = 0; i < subtopics.length; i++) {
+        const subtopic = subtopics[i];
+
+        // Check if this is the target subtopic
+        if (subtopic._id === targetId || subtopic.id === targetId ||
+            (subtopic._id && subtopic._id.toString() === targetId)) {
+
+            subtopic.aiVideoUrl = aiVideoUrl;
+            subtopic.updatedAt = new Date();
+            const storedKey = keyFromStoredUrl(aiVideoUrl);
+            subtopic.videoStorage = storedKey ? storage.storedIn : "d_id";
+
+            if (storedKey) {
+                subtopic.s3Path = storedKey;
+            }
+
+            console.log(`✅ Updated nested subtopic: ${targetId} with URL: ${aiVideoUrl}`);
+            return true;
+        }
+
+        // Recursively search in child arrays - matching Spring Boot structure
+        if (subtopic.units && Array.isArray(subtopic.units)) {
+            const found = updateNestedSubtopicRecursive(subtopic.units, targetId, aiVideoUrl);
+            if (found) return true;
+        }
+
+        if (subtopic.children && Array.isArray(subtopic.children)) {
+            const found = updateNestedSubtopicRecursive(subtopic.children, targetId, aiVideoUrl);
+            if (found) return true;
+        }
+
+        if (subtopic.subtopics && Array.isArray(subtopic.subtopics)) {
+            const found = updateNestedSubtopicRecursive(subtopic.subtopics, targetId, aiVideoUrl);
+            if (found) return true;
+        }
+    }
+    return false;
+}
+
+// ✅ UPDATED: Helper function for direct subtopic update
+async function updateDirectSubtopic(collection, subtopicId, videoUrl) {
+    console.log(`🔍 Direct update for subtopicId: ${subtopicId}`);
+
+    const strategies = [
+        // Strategy 1: Update in units array using _id (String)
+        {
+            query: { "units._id": subtopicId },
+            update: { $set: { "units.$.aiVideoUrl": videoUrl, "units.$.updatedAt": new Date() } },
+            location: "nested_units_string_id"
+        },
+        // Strategy 2: Update in units array using id field
+        {
+            query: { "units.id": subtopicId },
+            update: { $set: { "units.$.aiVideoUrl": videoUrl, "units.$.updatedAt": new Date() } },
+            location: "nested_units_string_id_field"
+        },
+        // Strategy 3: Update as main document using _id
+        {
+            query: { "_id": subtopicId },
+            update: { $set: { aiVideoUrl: videoUrl, updatedAt: new Date() } },
+            location: "main_document_string"
+        }
+    ];
+
+    // Try ObjectId strategies if possible
+    try {
+        const objectId = new ObjectId(subtopicId);
+        strategies.push(
+            {
+                query: { "_id": objectId },
+                update: { $set: { aiVideoUrl: videoUrl, updatedAt: new Date() } },
+                location: "main_document_objectid"
+            },
+            {
+                query: { "units._id": objectId },
+                update: { $set: { "units.$.aiVideoUrl": videoUrl, "units.$.updatedAt": new Date() } },
+                location: "nested_units_objectid"
+            }
+        );
+        console.log(`✅ Added ObjectId strategies for: ${subtopicId}`);
+    } catch (e) {
+        console.log(`⚠️ Cannot convert to ObjectId: ${e.message}`);
+    }
+
+    for (const strategy of strategies) {
+        try {
+            console.log(`🔍 Trying direct update strategy: ${strategy.location}`);
+
+            const result = await collection.updateOne(strategy.query, strategy.update);
+            console.log(`📊 Result for ${strategy.location}: Matched ${result.matchedCount}, Modified ${result.modifiedCount}`);
+
+            if (result.matchedCount > 0) {
                 return {
                     updated: true,
                     location: strategy.location,
@@ -419,7 +1321,7 @@ async function uploadLogoToDID(logoFilePath, top = "0", left = "-120") {
 
         // Make API request to D-ID
         const response = await axios.post(
-            "https://api.d-id.com/settings/logo",
+            `${DID_API_URL}/settings/logo`,
             formData,
             {
                 headers: {
@@ -474,416 +1376,1295 @@ async function uploadLogoToDID(logoFilePath, top = "0", left = "-120") {
     }
 }
 
-function getVoiceForPresenter(presenter_id) {
-    const voiceMap = {
-        "v2_public_anita_pink_shirt_green_screen@pw9Otj5BPp": "en-IN-AartiNeural",
-        "v2_public_Rian_NoHands_WhiteTshirt_Home@fJyZiHrDxU": "en-US-RyanMultilingualNeural",
-        // Keep the old ones for backward compatibility
-        "v2_public_anita@Os4oKCBIgZ": "en-IN-NeerjaNeural",
-        "v2_public_lucas@vngv2djh6d": "en-US-GuyNeural",
-        "v2_public_rian_red_jacket_lobby@Lnoj8R5x9r": "en-GB-RyanNeural"
-    };
-    return voiceMap[presenter_id] || "en-US-JennyNeural";
-}
-
-// ✅ MOVE THESE FUNCTIONS TO THE TOP - BEFORE uploadToS3
+// ✅ Narration languages - caption language, fallback voice and the built-in quiz template
+// (see QUESTION_TEMPLATE_FIELDS for the placeholders).
+// Jobs accept a language code or locale ("ta", "ta-IN"); only the base code is used.
+const DEFAULT_LANGUAGE = "en";
+const NARRATION_LANGUAGES = {
+    en: {
+        name: "English",
+        voice: { provider: "microsoft", voiceId: "en-IN-NeerjaNeural" },
+        questionTemplate: {
+            intro: "Now, let me ask you some questions to test your understanding. After each question, I'll pause so you can say your answer out loud, and then I'll tell you if you're correct.",
+            introNoAnswers: "Now, let me ask you some questions to test your understanding. After each question, I'll pause so you can say your answer out loud.",
+            question: "Question {{number}}: {{question}} {{pause}}",
+            answer: "The correct answer is: {{answer}}.",
+            between: "Let's try the next question.",
+            closing: "Great job answering all the questions! Excellent work! You've completed all the practice questions."
+        }
+    },
+    ta: {
+        name: "Tamil",
+        voice: { provider: "microsoft", voiceId: "ta-IN-PallaviNeural" },
+        questionTemplate: {
+            intro: "இப்போது, உங்கள் புரிதலைச் சோதிக்க சில கேள்விகளைக் கேட்கிறேன். ஒவ்வொரு கேள்விக்குப் பிறகும், நீங்கள் பதிலைச் சத்தமாகச் சொல்ல சிறிது நேரம் காத்திருப்பேன், பிறகு சரியான பதிலைச் சொல்கிறேன்.",
+            introNoAnswers: "இப்போது, உங்கள் புரிதலைச் சோதிக்க சில கேள்விகளைக் கேட்கிறேன். ஒவ்வொரு கேள்விக்குப் பிறகும், நீங்கள் பதிலைச் சத்தமாகச் சொல்ல சிறிது நேரம் காத்திருப்பேன்.",
+            question: "கேள்வி {{number}}: {{question}} {{pause}}",
+            answer: "சரியான பதில்: {{answer}}.",
+            between: "அடுத்த கேள்விக்குச் செல்வோம்.",
+            closing: "எல்லா கேள்விகளுக்கும் பதிலளித்தீர்கள், அருமை! மிகச் சிறப்பு! எல்லா பயிற்சிக் கேள்விகளையும் முடித்துவிட்டீர்கள்."
+        }
+    },
+    hi: {
+        name: "Hindi",
+        voice: { provider: "microsoft", voiceId: "hi-IN-SwaraNeural" },
+        questionTemplate: {
+            intro: "अब आपकी समझ जाँचने के लिए कुछ प्रश्न पूछे जाएँगे। हर प्रश्न के बाद थोड़ा रुका जाएगा ताकि आप अपना उत्तर ज़ोर से बोल सकें, फिर सही उत्तर बताया जाएगा।",
+            introNoAnswers: "अब आपकी समझ जाँचने के लिए कुछ प्रश्न पूछे जाएँगे। हर प्रश्न के बाद थोड़ा रुका जाएगा ताकि आप अपना उत्तर ज़ोर से बोल सकें।",
+            question: "प्रश्न {{number}}: {{question}} {{pause}}",
+            answer: "सही उत्तर है: {{answer}}।",
+            between: "चलिए अगला प्रश्न देखते हैं।",
+            closing: "सभी प्रश्नों के उत्तर देने के लिए बहुत बढ़िया! शाबाश! आपने सभी अभ्यास प्रश्न पूरे कर लिए हैं।"
+        }
+    },
+    te: {
+        name: "Telugu",
+        voice: { provider: "microsoft", voiceId: "te-IN-ShrutiNeural" },
+        questionTemplate: {
+            intro: "ఇప్పుడు, మీ అవగాహనను పరీక్షించడానికి కొన్ని ప్రశ్నలు అడుగుతాను. ప్రతి ప్రశ్న తర్వాత, మీరు మీ సమాధానాన్ని బిగ్గరగా చెప్పడానికి కొంచెం ఆగుతాను, తర్వాత సరైన సమాధానం చెబుతాను.",
+            introNoAnswers: "ఇప్పుడు, మీ అవగాహనను పరీక్షించడానికి కొన్ని ప్రశ్నలు అడుగుతాను. ప్రతి ప్రశ్న తర్వాత, మీరు మీ సమాధానాన్ని బిగ్గరగా చెప్పడానికి కొంచెం ఆగుతాను.",
+            question: "ప్రశ్న {{number}}: {{question}} {{pause}}",
+            answer: "సరైన సమాధానం: {{answer}}.",
+            between: "తదుపరి ప్రశ్నకు వెళ్దాం.",
+            closing: "అన్ని ప్రశ్నలకు సమాధానం ఇచ్చారు, చాలా బాగుంది! అద్భుతం! మీరు అన్ని అభ్యాస ప్రశ్నలను పూర్తి చేశారు."
+        }
+    }
+};
 
-function sanitizeForS3Path(str) {
-    if (!str) return 'unnamed';
-    return str
-        .replace(/[^a-zA-Z0-9\-_\s]/g, '_')  // Replace special chars with underscore
-        .replace(/\s+/g, '_')                // Replace spaces with underscore
-        .replace(/_+/g, '_')                // Replace multiple underscores with single
-        .replace(/^_+|_+$/g, '')            // Remove leading/trailing underscores
-        .substring(0, 50);                  // Limit length
+// "ta-IN" / "TA_in" -> "ta"; null when we don't support it
+function normalizeLanguage(language) {
+    const code = String(language || DEFAULT_LANGUAGE).trim().toLowerCase().split(/[-_]/)[0];
+    return NARRATION_LANGUAGES[code] ? code : null;
 }
 
-// ✅ NEW: Sanitize for S3 metadata headers (even stricter)
-function sanitizeForS3Metadata(str) {
-    if (!str) return 'none';
-    
-    // Decode URI components
-    try {
-        str = decodeURIComponent(str);
-    } catch (e) {
-        // If decoding fails, use original string
+// ✅ Presenter and voice registry - stored in the `presenters` collection, cached in memory
+// so the job builder can read it synchronously. Record shape:
+//   { presenterId, name, description, thumbnailUrl, voice: { provider, voiceId },
+//     voices: { <language>: voiceId }, background, configOverrides, active }
+// `voice` is the English voice; `voices` picks the same presenter's voice for other languages.
+// `background` is a colour or null (no background block sent); `configOverrides` is merged
+// into the clip config. Inactive presenters are hidden from the picker but still render.
+const DEFAULT_PRESENTER_BACKGROUND = "#a5d6a7";
+const DEFAULT_PRESENTER_VOICE = { provider: "microsoft", voiceId: "en-US-JennyNeural" };
+
+// Seeded into an empty collection - matches what used to be hard-coded
+const DEFAULT_PRESENTERS = [
+    {
+        presenterId: "v2_public_anita_pink_shirt_green_screen@pw9Otj5BPp",
+        name: "Anita",
+        description: "Female - English (Indian)",
+        thumbnailUrl: "https://clips-presenters.d-id.com/v2/anita_pink_shirt_green_screen/pw9Otj5BPp/R6_zqlIWw2/thumbnail.png",
+        voice: { provider: "microsoft", voiceId: "en-IN-AartiNeural" },
+        voices: { ta: "ta-IN-PallaviNeural", hi: "hi-IN-SwaraNeural", te: "te-IN-ShrutiNeural" },
+        background: "#d4edda",
+        configOverrides: {},
+        active: true
+    },
+    {
+        presenterId: "v2_public_lucas@vngv2djh6d",
+        name: "Lucas",
+        description: "Male",
+        thumbnailUrl: "https://clips-presenters.d-id.com/v2/lucas/vngv2djh6d/vz7n_w_05r/thumbnail.png",
+        voice: { provider: "microsoft", voiceId: "en-US-GuyNeural" },
+        voices: { ta: "ta-IN-ValluvarNeural", hi: "hi-IN-MadhurNeural", te: "te-IN-MohanNeural" },
+        background: DEFAULT_PRESENTER_BACKGROUND,
+        configOverrides: {},
+        active: true
+    },
+    {
+        presenterId: "v2_public_Rian_NoHands_WhiteTshirt_Home@fJyZiHrDxU",
+        name: "Rian",
+        description: "Male",
+        thumbnailUrl: "https://clips-presenters.d-id.com/v2/Rian_NoHands_WhiteTshirt_Home/fJyZiHrDxU/V52r3PNssy/thumbnail.png",
+        voice: { provider: "microsoft", voiceId: "en-US-RyanMultilingualNeural" },
+        voices: { ta: "ta-IN-ValluvarNeural", hi: "hi-IN-MadhurNeural", te: "te-IN-MohanNeural" },
+        background: null,
+        configOverrides: { fluency: "high" },
+        active: true
+    },
+    // Keep the old ones for backward compatibility
+    {
+        presenterId: "v2_public_anita@Os4oKCBIgZ",
+        name: "Anita (classic)",
+        description: "Female - English (Indian)",
+        thumbnailUrl: null,
+        voice: { provider: "microsoft", voiceId: "en-IN-NeerjaNeural" },
+        voices: { ta: "ta-IN-PallaviNeural", hi: "hi-IN-SwaraNeural", te: "te-IN-ShrutiNeural" },
+        background: DEFAULT_PRESENTER_BACKGROUND,
+        configOverrides: {},
+        active: false
+    },
+    {
+        presenterId: "v2_public_rian_red_jacket_lobby@Lnoj8R5x9r",
+        name: "Rian (lobby)",
+        description: "Male - English (British)",
+        thumbnailUrl: null,
+        voice: { provider: "microsoft", voiceId: "en-GB-RyanNeural" },
+        voices: { ta: "ta-IN-ValluvarNeural", hi: "hi-IN-MadhurNeural", te: "te-IN-MohanNeural" },
+        background: DEFAULT_PRESENTER_BACKGROUND,
+        configOverrides: {},
+        active: false
     }
-    
-    // S3 metadata headers can only contain ASCII characters
-    // Remove all non-ASCII characters and special symbols
-    return str
-        .replace(/[^\x00-\x7F]/g, '_')      // Remove non-ASCII characters (like ∆, μ, etc.)
-        .replace(/[^a-zA-Z0-9\-_]/g, '_')    // Only allow alphanumeric, dash, underscore
-        .replace(/_+/g, '_')                 // Replace multiple underscores with single
-        .replace(/^_+|_+$/g, '')             // Remove leading/trailing underscores
-        .substring(0, 50);                    // Limit length
-}
+];
 
-// ✅ Generate dynamic S3 path - S3 will auto-create folders
-// ✅ Updated generateS3Path to handle nested paths
-function generateS3Path(standard, subject, lesson, topic) {
-    // Sanitize each component
-    const sanitizedStandard = sanitizeForS3Path(standard || 'no_standard');
-    const sanitizedSubject = sanitizeForS3Path(subject || 'no_subject');
+const presenterCache = new Map(DEFAULT_PRESENTERS.map(presenter => [presenter.presenterId, presenter]));
 
-    // ✅ Handle lesson that might contain multiple folders (e.g., "1_UNITS_AND_MEASUREMENT/1_3_Significant_figures")
-    const sanitizedLesson = lesson ? lesson.split('/').map(part =>
-        sanitizeForS3Path(part)
-    ).join('/') : 'no_lesson';
+function getPresentersCollection() {
+    return client.db(JOBS_DB_NAME).collection('presenters');
+}
 
-    const sanitizedTopic = sanitizeForS3Path(topic || 'no_topic');
+// Unknown presenters still render, with the default voice and background
+function getPresenter(presenter_id) {
+    return presenterCache.get(presenter_id) || {
+        presenterId: presenter_id,
+        name: presenter_id,
+        voice: DEFAULT_PRESENTER_VOICE,
+        voices: {},
+        background: DEFAULT_PRESENTER_BACKGROUND,
+        configOverrides: {}
+    };
+}
 
-    // Handle special subjects (NEET, JEE, etc.)
-    const subjectsWithoutStandard = ['NEET_Previous_Questions', 'Formulas', 'JEE_Previous_Questions'];
-    if (subjectsWithoutStandard.includes(sanitizedSubject) || !standard || standard === 'special') {
-        return `${S3_BASE_FOLDER}/no_standard/${sanitizedSubject}/${sanitizedLesson}/${sanitizedTopic}/`;
+// Presenter's own voice for the language, else the language's default voice
+function getPresenterVoice(presenter, language = DEFAULT_LANGUAGE) {
+    if (language === DEFAULT_LANGUAGE) {
+        return presenter.voice;
     }
-
-    // For normal subjects with standard
-    return `${S3_BASE_FOLDER}/standard_${sanitizedStandard}/${sanitizedSubject}/${sanitizedLesson}/${sanitizedTopic}/`;
+    const voiceId = presenter.voices && presenter.voices[language];
+    if (voiceId) {
+        return { provider: presenter.voice.provider, voiceId: voiceId };
+    }
+    return NARRATION_LANGUAGES[language].voice;
 }
 
-// ✅ AWS S3 Upload Function
-// ✅ AWS S3 Upload Function - FIXED with proper sanitization
-async function uploadToS3(videoUrl, filename, pathComponents) {
+async function loadPresenters() {
     try {
-        console.log("☁️ Uploading to AWS S3...");
-        console.log("📁 Bucket:", S3_BUCKET_NAME);
-        console.log("📁 Region:", process.env.AWS_REGION || 'ap-south-1');
+        const presenters = await getPresentersCollection()
+            .find({}, { projection: { _id: 0 } })
+            .toArray();
 
-        const { standard, subject, lesson, topic } = pathComponents;
+        presenterCache.clear();
+        presenters.forEach(presenter => presenterCache.set(presenter.presenterId, presenter));
+        console.log(`🎭 Loaded ${presenters.length} presenter(s)`);
+    } catch (error) {
+        console.error("❌ Failed to load presenters:", error.message);
+    }
+}
 
-        // Generate dynamic S3 path - S3 will AUTO-CREATE all folders!
-        const folderPath = generateS3Path(standard, subject, lesson, topic);
+// ✅ Unique index, seed the defaults into an empty collection, then fill the cache
+async function ensurePresenters() {
+    try {
+        const presenters = getPresentersCollection();
+        await presenters.createIndex({ presenterId: 1 }, { unique: true });
+
+        if (await presenters.countDocuments({}, { limit: 1 }) === 0) {
+            const now = new Date();
+            await presenters.insertMany(DEFAULT_PRESENTERS.map(presenter => ({
+                ...presenter,
+                createdAt: now,
+                updatedAt: now
+            })));
+            console.log(`🎭 Seeded ${DEFAULT_PRESENTERS.length} default presenters`);
+        }
+    } catch (error) {
+        console.error("❌ Failed to prepare presenters collection:", error.message);
+    }
 
-        // Add timestamp to filename to ensure uniqueness
-        const timestamp = Date.now();
-        const uniqueFilename = `${timestamp}_${filename}`;
-        const key = `${folderPath}${uniqueFilename}`;
+    await loadPresenters();
+}
 
-        console.log("📁 S3 Key (folders will be auto-created):", key);
-        console.log("📍 Full S3 Path will be:", `s3://${S3_BUCKET_NAME}/${key}`);
-
-        // Download video from D-ID
-        console.log("⬇️ Downloading video from D-ID...");
-        const response = await axios({
-            method: 'GET',
-            url: videoUrl,
-            responseType: 'arraybuffer',
-            timeout: 120000,
-            headers: {
-                'Accept': 'video/mp4',
-                'User-Agent': 'Node.js-S3-Uploader'
-            }
-        });
+// Picks the editable fields out of a request body; returns { fields } or { error }
+function parsePresenterInput(body, { partial = false } = {}) {
+    const fields = {};
 
-        console.log("✅ Video downloaded, size:", response.data.length, "bytes");
+    if (body.name !== undefined) fields.name = String(body.name).trim();
+    if (body.description !== undefined) fields.description = body.description ? String(body.description) : "";
+    if (body.thumbnailUrl !== undefined) fields.thumbnailUrl = body.thumbnailUrl || null;
+    if (body.background !== undefined) fields.background = body.background || null;
+    if (body.active !== undefined) fields.active = body.active !== false && body.active !== "false";
 
-        if (!response.data || response.data.length === 0) {
-            throw new Error("Downloaded video is empty");
+    if (body.voice !== undefined) {
+        if (!body.voice || !body.voice.voiceId) {
+            return { error: "voice.voiceId is required" };
         }
+        fields.voice = {
+            provider: body.voice.provider || DEFAULT_PRESENTER_VOICE.provider,
+            voiceId: String(body.voice.voiceId)
+        };
+    }
 
-        // ✅ FIXED: Sanitize metadata values to remove special characters
-        const safeStandard = sanitizeForS3Metadata(standard || 'none');
-        const safeSubject = sanitizeForS3Metadata(subject || 'none');
-        const safeLesson = sanitizeForS3Metadata(lesson || 'none');
-        const safeTopic = sanitizeForS3Metadata(topic || 'none');
+    if (body.voices !== undefined) {
+        if (body.voices === null || typeof body.voices !== 'object' || Array.isArray(body.voices)) {
+            return { error: "voices must be an object of language -> voiceId" };
+        }
+        const unknown = Object.keys(body.voices).filter(language => !NARRATION_LANGUAGES[language]);
+        if (unknown.length > 0) {
+            return { error: `Unsupported voice language(s): ${unknown.join(', ')}` };
+        }
+        fields.voices = body.voices;
+    }
 
-        console.log("📋 Sanitized metadata:", {
-            standard: safeStandard,
-            subject: safeSubject,
-            lesson: safeLesson,
-            topic: safeTopic
-        });
-
-        // Upload to S3 bucket - S3 will AUTO-CREATE all folders in the path!
-        const command = new PutObjectCommand({
-            Bucket: S3_BUCKET_NAME,
-            Key: key,
-            Body: response.data,
-            ContentType: 'video/mp4',
-            Metadata: {
-                'source': 'd-id-ai-video',
-                'uploaded-at': new Date().toISOString(),
-                'original-url': videoUrl,
-                'standard': safeStandard,
-                'subject': safeSubject,
-                'lesson': safeLesson,
-                'topic': safeTopic
-            }
-        });
-
-        const result = await s3Client.send(command);
-        console.log("✅ Upload to S3 successful!");
-        console.log("📁 ETag:", result.ETag);
-        console.log("📁 HTTP Status:", result.$metadata?.httpStatusCode);
+    if (body.configOverrides !== undefined) {
+        if (body.configOverrides === null || typeof body.configOverrides !== 'object' || Array.isArray(body.configOverrides)) {
+            return { error: "configOverrides must be an object" };
+        }
+        fields.configOverrides = body.configOverrides;
+    }
 
-        // Generate S3 public URL
-        const s3Url = `https://${S3_BUCKET_NAME}.s3.${process.env.AWS_REGION || 'ap-south-1'}.amazonaws.com/${key}`;
-        console.log("🔗 S3 Public URL:", s3Url);
+    if (!partial) {
+        if (!fields.name) return { error: "name is required" };
+        if (!fields.voice) return { error: "voice.voiceId is required" };
+    } else if (fields.name === "") {
+        return { error: "name cannot be empty" };
+    }
 
-        // ✅ FIXED: Use sanitizeForS3Path for pathInfo (these are just for display, not metadata)
-        const pathInfo = {
-            fullPath: key,
-            bucket: S3_BUCKET_NAME,
-            baseFolder: S3_BASE_FOLDER,
-            standard: sanitizeForS3Path(standard),
-            subject: sanitizeForS3Path(subject),
-            lesson: sanitizeForS3Path(lesson),
-            topic: sanitizeForS3Path(topic),
-            filename: uniqueFilename,
-            timestamp: timestamp,
-            consoleUrl: `https://s3.console.aws.amazon.com/s3/buckets/${S3_BUCKET_NAME}/prefix=${folderPath}`
-        };
+    return { fields };
+}
 
-        return { s3Url, pathInfo };
+// ✅ Presenter CRUD - the front-end picker lists `?active=true`
+app.get("/api/presenters", async (req, res) => {
+    try {
+        const filter = req.query.active === undefined ? {} : { active: req.query.active !== 'false' };
+        const presenters = await getPresentersCollection()
+            .find(filter, { projection: { _id: 0 } })
+            .sort({ name: 1 })
+            .toArray();
 
+        res.json({ success: true, presenters: presenters });
     } catch (error) {
-        console.error("❌ Upload to S3 failed with details:");
-        console.error("   Error Message:", error.message);
-        console.error("   Error Code:", error.code);
-        console.error("   Error Name:", error.name);
-
-        if (error.name === 'CredentialsProviderError') {
-            throw new Error("S3 upload failed: IAM Role not properly configured. Check EC2 instance role.");
-        } else if (error.name === 'AccessDenied') {
-            throw new Error("S3 upload failed: Permission denied. Check IAM Role S3 permissions.");
-        } else {
-            throw new Error(`S3 upload failed: ${error.message}`);
-        }
+        console.error("❌ Failed to list presenters:", error);
+        res.status(500).json({ success: false, error: error.message });
     }
-}
+});
 
-// ✅ Test endpoint to verify S3 path creation
-app.get("/api/test-s3-path-creation", async (req, res) => {
+app.get("/api/presenters/:presenterId", async (req, res) => {
     try {
-        console.log("🧪 Testing S3 automatic folder creation...");
-
-        const testData = {
-            standard: "10",
-            subject: "Mathematics",
-            lesson: "Algebra",
-            topic: "Quadratic_Equations"
-        };
+        const presenter = await getPresentersCollection()
+            .findOne({ presenterId: req.params.presenterId }, { projection: { _id: 0 } });
 
-        const testFilename = `test_${Date.now()}.txt`;
-        const testContent = `This file tests S3 automatic folder creation.
-Path: subtopics/aivideospath/standard_${testData.standard}/${testData.subject}/${testData.lesson}/${testData.topic}/
-Time: ${new Date().toISOString()}`;
+        if (!presenter) {
+            return res.status(404).json({ success: false, error: "Presenter not found" });
+        }
+        res.json({ success: true, presenter: presenter });
+    } catch (error) {
+        console.error("❌ Failed to get presenter:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        // Generate the path
-        const folderPath = generateS3Path(
-            testData.standard,
-            testData.subject,
-            testData.lesson,
-            testData.topic
-        );
+app.post("/api/presenters", async (req, res) => {
+    try {
+        const { presenterId } = req.body;
+        if (!presenterId) {
+            return res.status(400).json({ success: false, error: "presenterId is required" });
+        }
 
-        const key = `${folderPath}${testFilename}`;
+        const { fields, error } = parsePresenterInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error: error });
+        }
 
-        console.log("📁 Testing with key:", key);
+        const now = new Date();
+        const presenter = {
+            presenterId: String(presenterId),
+            description: "",
+            thumbnailUrl: null,
+            voices: {},
+            background: DEFAULT_PRESENTER_BACKGROUND,
+            configOverrides: {},
+            active: true,
+            ...fields,
+            createdAt: now,
+            updatedAt: now
+        };
 
-        // Upload test file - S3 will AUTO-CREATE folders!
-        const command = new PutObjectCommand({
-            Bucket: S3_BUCKET_NAME,
-            Key: key,
-            Body: testContent,
-            ContentType: 'text/plain',
-            Metadata: {
-                'test': 'true',
-                'timestamp': Date.now().toString()
-            }
-        });
+        await getPresentersCollection().insertOne(presenter);
+        delete presenter._id;
+        await loadPresenters();
 
-        const result = await s3Client.send(command);
+        console.log("🎭 Presenter created:", presenter.presenterId);
+        res.status(201).json({ success: true, presenter: presenter });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, error: "A presenter with this presenterId already exists" });
+        }
+        console.error("❌ Failed to create presenter:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        const s3Url = `https://${S3_BUCKET_NAME}.s3.${process.env.AWS_REGION || 'ap-south-1'}.amazonaws.com/${key}`;
+app.put("/api/presenters/:presenterId", async (req, res) => {
+    try {
+        const { fields, error } = parsePresenterInput(req.body, { partial: true });
+        if (error) {
+            return res.status(400).json({ success: false, error: error });
+        }
 
-        console.log("✅ Test file uploaded successfully!");
-        console.log("📍 S3 Console URL:", `https://s3.console.aws.amazon.com/s3/buckets/${S3_BUCKET_NAME}/prefix=${folderPath}`);
+        const result = await getPresentersCollection().findOneAndUpdate(
+            { presenterId: req.params.presenterId },
+            { $set: { ...fields, updatedAt: new Date() } },
+            { returnDocument: 'after', projection: { _id: 0 } }
+        );
 
-        res.json({
-            success: true,
-            message: "✅ S3 automatic folder creation successful!",
-            details: {
-                bucket: S3_BUCKET_NAME,
-                path: folderPath,
-                fullKey: key,
-                s3Url: s3Url,
-                consoleUrl: `https://s3.console.aws.amazon.com/s3/buckets/${S3_BUCKET_NAME}/prefix=${folderPath}`,
-                note: "Folders were automatically created by S3 - no manual creation needed!"
-            }
-        });
+        if (!result.value) {
+            return res.status(404).json({ success: false, error: "Presenter not found" });
+        }
+        await loadPresenters();
 
+        console.log("🎭 Presenter updated:", req.params.presenterId);
+        res.json({ success: true, presenter: result.value });
     } catch (error) {
-        console.error("❌ Test failed:", error);
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            note: "Check IAM role permissions for s3:PutObject"
-        });
+        console.error("❌ Failed to update presenter:", error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// ✅ Endpoint to check bucket and path
-app.get("/api/check-s3-bucket", async (req, res) => {
+app.delete("/api/presenters/:presenterId", async (req, res) => {
     try {
-        const bucketInfo = {
-            bucket: S3_BUCKET_NAME,
-            region: process.env.AWS_REGION || 'ap-south-1',
-            baseFolder: S3_BASE_FOLDER,
-            usingIAMRole: true,
-            note: "S3 automatically creates folders when you upload with a path",
-            example: {
-                path: `${S3_BASE_FOLDER}/standard_10/Mathematics/Algebra/Quadratic_Equations/`,
-                howItWorks: "Upload a file with this path and S3 creates all folders automatically"
-            }
-        };
+        const result = await getPresentersCollection().deleteOne({ presenterId: req.params.presenterId });
 
-        res.json({
-            success: true,
-            bucketInfo
-        });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ success: false, error: "Presenter not found" });
+        }
+        await loadPresenters();
 
+        console.log("🗑️ Presenter deleted:", req.params.presenterId);
+        res.json({ success: true, deleted: req.params.presenterId });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        console.error("❌ Failed to delete presenter:", error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// ✅ ENHANCED: saveVideoToDatabase with custom description support
-async function saveVideoToDatabase(s3Url, subtopicId, dbname, subjectName, customDescription = null) {
-    console.log("💾 ENHANCED SAVE TO DATABASE: Starting...");
-    console.log("📋 Parameters:", { subtopicId, dbname, subjectName, s3Url, customDescription });
+// ✅ Output presets - the size, container, captions and watermark of each rendition.
+// A job can ask for several; each one is rendered as its own clip and uploaded next to the others.
+const OUTPUT_FORMATS = {
+    mp4: { extension: 'mp4', contentType: 'video/mp4' },
+    mov: { extension: 'mov', contentType: 'video/quicktime' }
+};
 
-    try {
-        const dbConn = getDB(dbname);
-        const collection = dbConn.collection(subjectName);
+// "landscape" is what every video used to be, so its files keep the old name (no suffix)
+const LEGACY_OUTPUT_PRESET = 'landscape';
 
-        if (!subjectName || subjectName.trim() === "") {
-            throw new Error("subjectName is required");
-        }
+const BUILT_IN_OUTPUT_PRESETS = {
+    landscape: { label: 'Landscape (16:9)', width: 1280, height: 720, format: 'mp4', captions: true, watermark: true },
+    portrait: { label: 'Portrait (9:16)', width: 720, height: 1280, format: 'mp4', captions: true, watermark: false },
+    square: { label: 'Square (1:1)', width: 1080, height: 1080, format: 'mp4', captions: true, watermark: true }
+};
 
-        // ✅ FIXED: Build consistent update data
-        const baseUpdateData = {
-            aiVideoUrl: s3Url,
-            updatedAt: new Date(),
-            videoStorage: "aws_s3",
-            s3Path: s3Url.split('.com/')[1]
-        };
+function loadOutputPresets() {
+    const presets = { ...BUILT_IN_OUTPUT_PRESETS };
 
-        // ✅ FIXED: Add custom description fields
-        if (customDescription && customDescription.trim() !== "") {
-            baseUpdateData.customDescription = customDescription;
-            baseUpdateData.description = customDescription; // Update main description
-            baseUpdateData.updatedDescriptionAt = new Date();
-            console.log("✅ Custom description will be saved:", customDescription.substring(0, 100) + "...");
+    for (const [name, overrides] of Object.entries(config.outputPresets)) {
+        const key = name.toLowerCase();
+        const preset = { label: name, format: 'mp4', captions: true, watermark: true, ...BUILT_IN_OUTPUT_PRESETS[key], ...overrides };
+
+        if (!Number.isInteger(preset.width) || preset.width <= 0 || !Number.isInteger(preset.height) || preset.height <= 0) {
+            console.error(`❌ Ignoring output preset "${name}": width and height must be positive integers`);
+            continue;
+        }
+        if (!OUTPUT_FORMATS[preset.format]) {
+            console.error(`❌ Ignoring output preset "${name}": format must be one of ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+            continue;
         }
 
-        // ✅ STEP 1: Try direct MongoDB updates first (more reliable)
-        console.log("🔄 Step 1: Direct MongoDB updates...");
+        presets[key] = preset;
+    }
 
-        // Strategy 1: Try with ObjectId if valid
-        if (ObjectId.isValid(subtopicId)) {
-            const objectId = new ObjectId(subtopicId);
+    return presets;
+}
 
-            // 1.1: Update as main document with ObjectId
-            const result1 = await collection.updateOne(
-                { "_id": objectId },
-                { $set: baseUpdateData }
-            );
+const OUTPUT_PRESETS = loadOutputPresets();
 
-            if (result1.modifiedCount > 0) {
-                console.log("✅ Updated as main document with ObjectId");
-                return {
-                    success: true,
-                    message: "Video URL and custom description saved as main document",
-                    collection: subjectName,
-                    updateMethod: "main_document_objectid",
-                    matchedCount: result1.matchedCount,
-                    modifiedCount: result1.modifiedCount,
-                    customDescriptionSaved: !!customDescription
-                };
-            }
+const DEFAULT_OUTPUT_PRESETS = config.defaultOutputPresets.filter(name => OUTPUT_PRESETS[name.toLowerCase()])
+    .map(name => name.toLowerCase());
+if (DEFAULT_OUTPUT_PRESETS.length === 0) {
+    DEFAULT_OUTPUT_PRESETS.push(LEGACY_OUTPUT_PRESET);
+}
 
-            // 1.2: Update in nested arrays with ObjectId
-            const arrayFields = ['units', 'subtopics', 'children', 'topics', 'lessons'];
+function getOutputPreset(name) {
+    const preset = OUTPUT_PRESETS[name];
+    if (!preset) {
+        throw new Error(`Unknown output preset: ${name}`);
+    }
+    return { name: name, ...preset, ...OUTPUT_FORMATS[preset.format] };
+}
 
-            for (const field of arrayFields) {
-                // Build dynamic update for nested arrays
-                const nestedUpdate = {};
-                for (const key in baseUpdateData) {
-                    nestedUpdate[`${field}.$.${key}`] = baseUpdateData[key];
-                }
+// Accepts an array or a comma separated string; returns the preset names, or null if any is unknown
+function normalizeOutputPresets(value) {
+    if (value === undefined || value === null || value === '') {
+        return [...DEFAULT_OUTPUT_PRESETS];
+    }
 
-                const result = await collection.updateOne(
-                    { [`${field}._id`]: objectId },
-                    { $set: nestedUpdate }
-                );
+    const names = (Array.isArray(value) ? value : String(value).split(','))
+        .map(name => String(name).trim().toLowerCase())
+        .filter(Boolean);
 
-                if (result.modifiedCount > 0) {
-                    console.log(`✅ Updated in nested ${field} array with ObjectId`);
-                    return {
-                        success: true,
-                        message: `Video URL and custom description saved in ${field} array`,
-                        collection: subjectName,
-                        updateMethod: `nested_${field}_objectid`,
-                        matchedCount: result.matchedCount,
-                        modifiedCount: result.modifiedCount,
-                        customDescriptionSaved: !!customDescription
-                    };
-                }
-            }
+    if (names.length === 0 || names.some(name => !OUTPUT_PRESETS[name])) {
+        return null;
+    }
 
-            // ✅ NEW: Try deep nested update with ObjectId
-            console.log("🔄 Trying deep nested ObjectId update...");
-            const allDocs = await collection.find({}).toArray();
+    return [...new Set(names)];
+}
 
-            for (const document of allDocs) {
-                const deepUpdateResult = await updateNestedArrayWithObjectId(
-                    collection,
-                    document,
-                    objectId,
-                    s3Url,
-                    customDescription
-                );
+function getOutputFilename(baseName, presetName) {
+    const output = getOutputPreset(presetName);
+    const suffix = presetName === LEGACY_OUTPUT_PRESET ? '' : `_${presetName}`;
+    return `${baseName}${suffix}.${output.extension}`;
+}
 
-                if (deepUpdateResult.success) {
-                    console.log("✅ Deep nested ObjectId update successful");
-                    return {
-                        ...deepUpdateResult,
-                        customDescriptionSaved: !!customDescription
-                    };
-                }
-            }
-        }
+app.get("/api/output-presets", (req, res) => {
+    res.json({
+        success: true,
+        defaults: DEFAULT_OUTPUT_PRESETS,
+        presets: Object.keys(OUTPUT_PRESETS).map(name => {
+            const { label, width, height, format, captions, watermark } = OUTPUT_PRESETS[name];
+            return { name, label, width, height, format, captions, watermark };
+        })
+    });
+});
 
-        // ✅ STEP 2: Try with string ID
-        console.log("🔄 Step 2: Trying string ID updates...");
+// ✅ Avatar video providers - the job pipeline only talks to this interface:
+//   buildClipRequest({ presenter_id, script, ssml, audioUrl, language, logoSize, output, theme }) -> provider-specific payload
+//                        (audioUrl set = lip-sync that recording, script is ignored;
+//                         output = getOutputPreset(...), the size/format/captions/watermark to render;
+//                         theme = resolveVideoTheme(...), background/watermark placement/caption style)
+//   createClip(payload)  -> { id, status }
+//   getClip(clipId)      -> { status: 'processing' | 'done' | 'error', rawStatus, resultUrl, error }
+//   getResultUrl(clip)   -> URL of the finished video, downloaded by uploadToS3
+//   cancelClip(clipId)   -> true when the provider stopped/deleted the clip (best effort)
+// Errors from createClip/getClip are thrown as-is so withRetry can classify them.
+const DEFAULT_VIDEO_PROVIDER = config.videoProvider;
+const videoProviders = new Map();
+
+function registerVideoProvider(provider) {
+    videoProviders.set(provider.name, provider);
+}
 
-        // 2.1: Update as main document with string ID
-        const result2 = await collection.updateOne(
-            { "_id": subtopicId },
-            { $set: baseUpdateData }
-        );
+function getVideoProvider(name) {
+    const provider = videoProviders.get(name || DEFAULT_VIDEO_PROVIDER);
+    if (!provider) {
+        throw new Error(`Unknown video provider: ${name}`);
+    }
+    return provider;
+}
 
-        if (result2.modifiedCount > 0) {
-            console.log("✅ Updated as main document with string ID");
-            return {
-                success: true,
-                message: "Video URL and custom description saved as main document (string ID)",
-                collection: subjectName,
-                updateMethod: "main_document_string",
-                matchedCount: result2.matchedCount,
-                modifiedCount: result2.modifiedCount,
-                customDescriptionSaved: !!customDescription
-            };
+// Job request > tenant override > server default
+function resolveVideoProviderName(requested, dbname) {
+    return requested || config.videoProviderByTenant[dbname] || DEFAULT_VIDEO_PROVIDER;
+}
+
+const DID_CLIP_STATUSES = { done: 'done', error: 'error', rejected: 'error' };
+
+registerVideoProvider({
+    name: 'd-id',
+    label: 'D-ID',
+
+    buildClipRequest({ presenter_id, script, ssml = false, audioUrl = null, language = DEFAULT_LANGUAGE, logoSize = "small", output = getOutputPreset(DEFAULT_OUTPUT_PRESETS[0]), theme = DEFAULT_VIDEO_THEME }) {
+        const presenter = getPresenter(presenter_id);
+        const voice = getPresenterVoice(presenter, language);
+
+        const requestPayload = {
+            presenter_id: presenter_id,
+            // Pre-recorded narration: the presenter lip-syncs the audio file instead of TTS
+            script: audioUrl ? {
+                type: "audio",
+                audio_url: audioUrl
+            } : {
+                type: "text",
+                provider: {
+                    type: voice.provider,
+                    voice_id: voice.voiceId
+                },
+                input: script,
+                ssml: ssml
+            },
+            // ✅ ADD LOGO SIZE CONTROL
+            logo: {
+                size: logoSize  // Uses "small", "medium", or "large"
+            },
+            config: {
+                result_format: output.format,
+                width: output.width,
+                height: output.height,
+                captions: {
+                    enabled: output.captions,
+                    language: language,
+                    ...theme.captions
+                },
+                ...presenter.configOverrides
+            }
+        };
+
+        if (output.watermark) {
+            requestPayload.config.watermark = { ...theme.watermark };
         }
 
-        // 2.2: Update in nested arrays with string ID
-        const arrayFields = ['units', 'subtopics', 'children', 'topics', 'lessons'];
+        // The subject's theme wins over the presenter's own background colour
+        if (theme.background && theme.background.imageUrl) {
+            requestPayload.background = { source_url: theme.background.imageUrl };
+        } else if (theme.background || presenter.background) {
+            requestPayload.background = { color: theme.background ? theme.background.color : presenter.background };
+        }
+
+        return requestPayload;
+    },
+
+    async createClip(payload) {
+        const response = await axios.post(`${DID_API_URL}/clips`, payload, {
+            headers: {
+                Authorization: DID_API_KEY,
+                "Content-Type": "application/json"
+            },
+            timeout: 120000,
+        });
+        return { id: response.data.id, status: response.data.status };
+    },
+
+    async getClip(clipId) {
+        const response = await axios.get(`${DID_API_URL}/clips/${clipId}`, {
+            headers: { Authorization: DID_API_KEY },
+            timeout: 30000,
+        });
+        return {
+            status: DID_CLIP_STATUSES[response.data.status] || 'processing',
+            rawStatus: response.data.status,
+            resultUrl: response.data.result_url,
+            error: response.data.error?.message
+        };
+    },
+
+    async getResultUrl(clip) {
+        return clip.resultUrl;
+    },
+
+    async cancelClip(clipId) {
+        try {
+            await axios.delete(`${DID_API_URL}/clips/${clipId}`, {
+                headers: { Authorization: DID_API_KEY },
+                timeout: 15000
+            });
+            console.log("🗑️ Deleted D-ID clip:", clipId);
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ Could not delete D-ID clip ${clipId}:`, error.response?.status || error.message);
+            return false;
+        }
+    }
+});
+
+// ✅ Shared retry policy for D-ID and S3 calls
+const RETRY_MAX_ATTEMPTS = config.retryMaxAttempts;
+const RETRY_BASE_DELAY_MS = config.retryBaseDelayMs;
+const RETRY_MAX_DELAY_MS = config.retryMaxDelayMs;
+// Never wait longer than this, whatever Retry-After says
+const RETRY_AFTER_CAP_MS = 5 * 60 * 1000;
+
+const RETRYABLE_NETWORK_CODES = [
+    'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE',
+    'ENOTFOUND', 'EAI_AGAIN', 'ERR_NETWORK', 'ERR_SOCKET_CONNECTION_TIMEOUT'
+];
+const RETRYABLE_AWS_ERRORS = [
+    'SlowDown', 'RequestTimeout', 'InternalError', 'ServiceUnavailable',
+    'Throttling', 'ThrottlingException', 'TooManyRequestsException'
+];
+
+// ✅ Retryable = timeouts, rate limits, 5xx and network blips. Everything else is fatal.
+function isRetryableError(error) {
+    const status = error.response?.status || error.$metadata?.httpStatusCode;
+    if (status) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+    if (error.$retryable || RETRYABLE_AWS_ERRORS.includes(error.name)) {
+        return true;
+    }
+    return RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+// Non-idempotent calls (creating a D-ID clip) may only be resent when the first request was
+// never accepted - after a timeout or 5xx the provider may already be rendering a billed clip
+const UNSENT_REQUEST_NETWORK_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+function isUnsentRequestError(error) {
+    const status = error.response?.status;
+    if (status) {
+        return status === 429;
+    }
+    return UNSENT_REQUEST_NETWORK_CODES.includes(error.code);
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function getRetryAfterMs(error) {
+    const headers = error.response?.headers || error.$response?.headers || {};
+    const value = headers['retry-after'];
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function getRetryDelayMs(error, attempt) {
+    const retryAfter = getRetryAfterMs(error);
+    if (retryAfter !== null) {
+        return Math.min(retryAfter, RETRY_AFTER_CAP_MS);
+    }
+
+    // Exponential backoff with "equal jitter": half fixed, half random
+    const backoff = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1));
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
+// ✅ Run an async operation with retries. The final error is tagged with
+// `retryable` and `attempts` so callers can report what happened.
+async function withRetry(operation, { label = 'operation', maxAttempts = RETRY_MAX_ATTEMPTS, onAttempt, isRetryable = isRetryableError } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        if (onAttempt) {
+            await onAttempt(attempt);
+        }
+
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            const retryable = isRetryable(error);
+            error.retryable = retryable;
+            error.attempts = attempt;
+
+            if (!retryable || attempt >= maxAttempts) {
+                console.error(`❌ ${label} failed after ${attempt} attempt(s) (${retryable ? 'retries exhausted' : 'fatal'}):`, error.message);
+                throw error;
+            }
+
+            const delay = getRetryDelayMs(error, attempt);
+            console.warn(`⚠️ ${label} attempt ${attempt}/${maxAttempts} failed (${error.response?.status || error.code || error.name}), retrying in ${delay}ms`);
+            await new Promise(r => setTimeout(r, delay));
+        }
+    }
+}
+
+// ✅ MOVE THESE FUNCTIONS TO THE TOP - BEFORE uploadToS3
+
+function sanitizeForS3Path(str) {
+    if (!str) return 'unnamed';
+    return str
+        .replace(/[^a-zA-Z0-9\-_\s]/g, '_')  // Replace special chars with underscore
+        .replace(/\s+/g, '_')                // Replace spaces with underscore
+        .replace(/_+/g, '_')                // Replace multiple underscores with single
+        .replace(/^_+|_+$/g, '')            // Remove leading/trailing underscores
+        .substring(0, 50);                  // Limit length
+}
+
+// ✅ NEW: Sanitize for S3 metadata headers (even stricter)
+function sanitizeForS3Metadata(str) {
+    if (!str) return 'none';
+    
+    // Decode URI components
+    try {
+        str = decodeURIComponent(str);
+    } catch (e) {
+        // If decoding fails, use original string
+    }
+    
+    // S3 metadata headers can only contain ASCII characters
+    // Remove all non-ASCII characters and special symbols
+    return str
+        .replace(/[^\x00-\x7F]/g, '_')      // Remove non-ASCII characters (like ∆, μ, etc.)
+        .replace(/[^a-zA-Z0-9\-_]/g, '_')    // Only allow alphanumeric, dash, underscore
+        .replace(/_+/g, '_')                 // Replace multiple underscores with single
+        .replace(/^_+|_+$/g, '')             // Remove leading/trailing underscores
+        .substring(0, 50);                    // Limit length
+}
+
+// ✅ Generate dynamic S3 path - S3 will auto-create folders
+// ✅ Updated generateS3Path to handle nested paths
+function generateS3Path(standard, subject, lesson, topic) {
+    // Sanitize each component
+    const sanitizedStandard = sanitizeForS3Path(standard || 'no_standard');
+    const sanitizedSubject = sanitizeForS3Path(subject || 'no_subject');
+
+    // ✅ Handle lesson that might contain multiple folders (e.g., "1_UNITS_AND_MEASUREMENT/1_3_Significant_figures")
+    const sanitizedLesson = lesson ? lesson.split('/').map(part =>
+        sanitizeForS3Path(part)
+    ).join('/') : 'no_lesson';
+
+    const sanitizedTopic = sanitizeForS3Path(topic || 'no_topic');
+
+    // Handle special subjects (NEET, JEE, etc.)
+    const subjectsWithoutStandard = ['NEET_Previous_Questions', 'Formulas', 'JEE_Previous_Questions'];
+    if (subjectsWithoutStandard.includes(sanitizedSubject) || !standard || standard === 'special') {
+        return `${S3_BASE_FOLDER}/no_standard/${sanitizedSubject}/${sanitizedLesson}/${sanitizedTopic}/`;
+    }
+
+    // For normal subjects with standard
+    return `${S3_BASE_FOLDER}/standard_${sanitizedStandard}/${sanitizedSubject}/${sanitizedLesson}/${sanitizedTopic}/`;
+}
+
+// `stream: true` resolves as soon as the response starts; response.data is then a readable stream
+async function downloadVideo(videoUrl, { onAttempt, stream = false } = {}) {
+    console.log("⬇️ Downloading video from D-ID...");
+    return withRetry(() => axios({
+        method: 'GET',
+        url: videoUrl,
+        responseType: stream ? 'stream' : 'arraybuffer',
+        timeout: 120000,
+        headers: {
+            'Accept': 'video/mp4',
+            'User-Agent': 'Node.js-S3-Uploader'
+        }
+    }), {
+        label: 'Video download',
+        onAttempt: onAttempt
+    });
+}
+
+// Streams a provider video into `consume(stream, totalBytes)` and starts the download over when it
+// drops mid-transfer - downloadVideo's own retries only cover getting the response headers.
+// Only errors from the download stream are retried here, a failing consumer is not.
+async function consumeVideoDownload(videoUrl, consume, { onAttempt } = {}) {
+    return withRetry(async () => {
+        const response = await downloadVideo(videoUrl, { stream: true });
+        response.data.on('error', error => {
+            error.duringDownload = true;
+        });
+        return consume(response.data, Number(response.headers['content-length']) || null);
+    }, {
+        label: 'Video download',
+        onAttempt: onAttempt,
+        isRetryable: error => !!error.duringDownload &&
+            (isRetryableError(error) || error.message === 'aborted' || error.code === 'ERR_STREAM_PREMATURE_CLOSE')
+    });
+}
+
+// ✅ AWS S3 Upload Function
+// ✅ AWS S3 Upload Function - FIXED with proper sanitization
+// Pass `videoFile` ({ path, size }, e.g. a stitched video) to upload a local file instead of
+// downloading `videoUrl`. Either way the video is streamed into the store part by part, so it is
+// never held in memory whole; onProgress(bytes, totalBytes) follows the upload.
+async function uploadToS3(videoUrl, filename, pathComponents, { onAttempt, onProgress, language, videoFile, contentType = 'video/mp4' } = {}) {
+    try {
+        console.log(`☁️ Uploading to ${storage.label}...`);
+        console.log("📁 Storage:", storage.describe());
+
+        const { standard, subject, lesson, topic } = pathComponents;
+
+        // Generate dynamic S3 path - S3 will AUTO-CREATE all folders!
+        const folderPath = generateS3Path(standard, subject, lesson, topic);
+
+        // Add timestamp to filename to ensure uniqueness
+        const timestamp = Date.now();
+        const uniqueFilename = `${timestamp}_${filename}`;
+        const key = `${folderPath}${uniqueFilename}`;
+
+        console.log("📁 S3 Key (folders will be auto-created):", key);
+        console.log("📍 Full S3 Path will be:", storage.location(key));
+
+        // ✅ FIXED: Sanitize metadata values to remove special characters
+        const safeStandard = sanitizeForS3Metadata(standard || 'none');
+        const safeSubject = sanitizeForS3Metadata(subject || 'none');
+        const safeLesson = sanitizeForS3Metadata(lesson || 'none');
+        const safeTopic = sanitizeForS3Metadata(topic || 'none');
+
+        console.log("📋 Sanitized metadata:", {
+            standard: safeStandard,
+            subject: safeSubject,
+            lesson: safeLesson,
+            topic: safeTopic
+        });
+
+        // Upload to S3 bucket - S3 will AUTO-CREATE all folders in the path!
+        const putOptions = {
+            contentType: contentType,
+            metadata: {
+                'source': 'd-id-ai-video',
+                'uploaded-at': new Date().toISOString(),
+                'original-url': videoUrl || 'stitched',
+                'standard': safeStandard,
+                'subject': safeSubject,
+                'lesson': safeLesson,
+                'topic': safeTopic,
+                'language': language || 'none'
+            }
+        };
+
+        const putStream = (stream, totalBytes) => storage.putStream(key, stream, {
+            ...putOptions,
+            onAttempt: onAttempt && (attempt => onAttempt('upload', attempt)),
+            onProgress: onProgress && (bytes => onProgress(bytes, totalBytes))
+        });
+
+        let result;
+        if (videoFile) {
+            result = await putStream(fs.createReadStream(videoFile.path), videoFile.size);
+        } else {
+            // Download video from D-ID straight into the store
+            result = await consumeVideoDownload(videoUrl, putStream, {
+                onAttempt: onAttempt && (attempt => onAttempt('download', attempt))
+            });
+        }
+        console.log("✅ Streamed video, size:", result.size, "bytes");
+        console.log(`✅ Upload to ${storage.label} successful!`);
+
+        const s3Url = toStoredUrl(key);
+        console.log(PRIVATE_VIDEOS ? "🔗 Playback URL:" : "🔗 S3 Public URL:", s3Url);
+
+        // ✅ FIXED: Use sanitizeForS3Path for pathInfo (these are just for display, not metadata)
+        const pathInfo = {
+            fullPath: key,
+            bucket: storage.bucket,
+            storage: storage.name,
+            baseFolder: S3_BASE_FOLDER,
+            standard: sanitizeForS3Path(standard),
+            subject: sanitizeForS3Path(subject),
+            lesson: sanitizeForS3Path(lesson),
+            topic: sanitizeForS3Path(topic),
+            filename: uniqueFilename,
+            timestamp: timestamp,
+            consoleUrl: storage.consoleUrl(folderPath)
+        };
+
+        return { s3Url, pathInfo };
+
+    } catch (error) {
+        console.error("❌ Upload to S3 failed with details:");
+        console.error("   Error Message:", error.message);
+        console.error("   Error Code:", error.code);
+        console.error("   Error Name:", error.name);
+
+        let uploadError;
+        if (error.name === 'CredentialsProviderError') {
+            uploadError = new Error("S3 upload failed: IAM Role not properly configured. Check EC2 instance role.");
+        } else if (error.name === 'AccessDenied') {
+            uploadError = new Error("S3 upload failed: Permission denied. Check IAM Role S3 permissions.");
+        } else {
+            uploadError = new Error(`S3 upload failed: ${error.message}`);
+        }
+
+        // Keep the retry classification from withRetry
+        uploadError.retryable = !!error.retryable;
+        uploadError.attempts = error.attempts;
+        throw uploadError;
+    }
+}
+
+// ✅ Remove an uploaded object (used when a job is cancelled after its upload)
+async function deleteS3Object(key) {
+    try {
+        await storage.delete(key);
+        console.log("🗑️ Deleted S3 object:", key);
+        return true;
+    } catch (error) {
+        console.warn(`⚠️ Could not delete S3 object ${key}:`, error.message);
+        return false;
+    }
+}
+
+// ✅ Compatibility path for stored aiVideoUrl links: checks the link's signature, then redirects to a short-lived signed URL for the object
+app.get(`${PLAYBACK_PATH}*`, async (req, res) => {
+    if (!config.playbackRedirects) {
+        return res.status(410).json({
+            success: false,
+            error: "Playback links are disabled, request a URL from /api/subtopics/:subtopicId/video-url"
+        });
+    }
+
+    const key = req.params[0];
+    const expected = Buffer.from(signPlaybackKey(key));
+    const given = Buffer.from(String(req.query.sig || ''));
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return res.status(403).json({ success: false, error: "Invalid playback link" });
+    }
+
+    try {
+        const url = await storage.signedUrl(key);
+        res.set('Cache-Control', 'no-store');
+        res.redirect(302, url);
+    } catch (error) {
+        console.error("❌ Could not sign playback URL:", error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// `expiresIn` query value in seconds, or null when it is out of range
+function parseSignedUrlTtl(value) {
+    const expiresIn = value === undefined ? SIGNED_URL_TTL_SECONDS : Number(value);
+    return Number.isInteger(expiresIn) && expiresIn >= 1 && expiresIn <= SIGNED_URL_MAX_TTL_SECONDS ? expiresIn : null;
+}
+
+// Signed URLs for a video and its renditions. Videos never copied into storage (still on D-ID)
+// have no key and are returned as stored.
+async function signVideoUrls({ url, s3Path, renditions = [] }, expiresIn) {
+    const sign = (key, storedUrl) => key ? storage.signedUrl(key, { expiresIn }) : storedUrl;
+
+    return {
+        url: await sign(s3Path || keyFromStoredUrl(url), url),
+        renditions: await Promise.all(renditions.map(async rendition => ({
+            preset: rendition.preset,
+            width: rendition.width,
+            height: rendition.height,
+            format: rendition.format,
+            url: await sign(rendition.s3Path || keyFromStoredUrl(rendition.url), rendition.url)
+        }))),
+        expiresIn: expiresIn,
+        expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+    };
+}
+
+const SIGNED_URL_TTL_ERROR = `expiresIn must be a whole number of seconds between 1 and ${SIGNED_URL_MAX_TTL_SECONDS}`;
+
+// ✅ Short-lived URLs for a subtopic's video (and each output preset's rendition)
+app.get("/api/subtopics/:subtopicId/video-url", async (req, res) => {
+    const { subtopicId } = req.params;
+    const { dbname = "professional", subjectName, preset } = req.query;
+
+    if (!subjectName) {
+        return res.status(400).json({ success: false, error: "subjectName is required" });
+    }
+
+    const expiresIn = parseSignedUrlTtl(req.query.expiresIn);
+    if (!expiresIn) {
+        return res.status(400).json({ success: false, error: SIGNED_URL_TTL_ERROR });
+    }
+
+    try {
+        const subtopic = await getSubtopicNode(subtopicId, dbname, subjectName);
+        if (!subtopic) {
+            return res.status(404).json({ success: false, error: "Subtopic not found" });
+        }
+        if (!subtopic.aiVideoUrl && !subtopic.s3Path) {
+            return res.status(404).json({ success: false, error: "Subtopic has no video" });
+        }
+
+        const signed = await signVideoUrls({
+            url: subtopic.aiVideoUrl,
+            s3Path: subtopic.s3Path,
+            renditions: subtopic.aiVideoRenditions
+        }, expiresIn);
+
+        if (preset) {
+            const rendition = signed.renditions.find(r => r.preset === preset);
+            if (!rendition) {
+                return res.status(404).json({ success: false, error: `Subtopic has no "${preset}" rendition` });
+            }
+            signed.url = rendition.url;
+        }
+
+        res.json({
+            success: true,
+            subtopicId,
+            access: PRIVATE_VIDEOS ? "private" : "public",
+            ...signed
+        });
+    } catch (error) {
+        console.error("❌ Could not issue video URL:", error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Fields that may hold a public storage URL from before PRIVATE_VIDEOS, or a playback link signed
+// with a rotated secret (`url` is a rendition's)
+const PRIVATE_MIGRATION_URL_FIELDS = ['aiVideoUrl', 'sourceAudioUrl', 'url'];
+
+// Collects { "units.0.aiVideoUrl": playbackUrl, "units.0.s3Path": key, ... } for one document
+function collectPrivateMigrationUpdates(value, pathParts, updates) {
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => collectPrivateMigrationUpdates(item, [...pathParts, index], updates));
+        return;
+    }
+    if (!value || Object.getPrototypeOf(value) !== Object.prototype) return;
+
+    for (const [field, fieldValue] of Object.entries(value)) {
+        const key = PRIVATE_MIGRATION_URL_FIELDS.includes(field) && typeof fieldValue === 'string'
+            ? keyFromStoredUrl(fieldValue)
+            : null;
+
+        if (key) {
+            if (fieldValue === getPlaybackUrl(key)) continue;
+            updates[[...pathParts, field].join('.')] = getPlaybackUrl(key);
+            if (field === 'aiVideoUrl') {
+                updates[[...pathParts, 's3Path'].join('.')] = key;
+            }
+        } else {
+            collectPrivateMigrationUpdates(fieldValue, [...pathParts, field], updates);
+        }
+    }
+}
+
+// ✅ Switch subtopics saved while the bucket was public over to keys + playback links.
+// Run it (dry run first) for each tenant after turning on PRIVATE_VIDEOS and before blocking
+// public access on the bucket - the plain amazonaws.com URLs stop working at that point.
+// Run it again after rotating PLAYBACK_URL_SECRET to re-sign the stored links.
+app.post("/api/storage/private-migration", async (req, res) => {
+    const { dbname = "professional", subjectName, dryRun = true } = req.body || {};
+
+    if (typeof dryRun !== 'boolean') {
+        return res.status(400).json({ success: false, error: "dryRun must be true or false" });
+    }
+    if (!PRIVATE_VIDEOS) {
+        return res.status(400).json({ success: false, error: "Turn on PRIVATE_VIDEOS first - URLs are rewritten to playback links" });
+    }
+
+    try {
+        const dbConn = getDB(dbname);
+        const collections = subjectName
+            ? [subjectName]
+            : (await dbConn.listCollections({ type: 'collection' }, { nameOnly: true }).toArray())
+                .map(collection => collection.name)
+                .filter(name => !name.startsWith('system.'));
+
+        const result = { documents: 0, urls: 0, changes: [] };
+        for (const name of collections) {
+            for await (const document of dbConn.collection(name).find({})) {
+                const updates = {};
+                collectPrivateMigrationUpdates(document, [], updates);
+                const paths = Object.keys(updates).filter(field => !field.endsWith('s3Path'));
+                if (paths.length === 0) continue;
+
+                result.documents++;
+                result.urls += paths.length;
+                if (result.changes.length < 100) {
+                    result.changes.push({ collection: name, _id: document._id, fields: paths });
+                }
+                if (!dryRun) {
+                    await dbConn.collection(name).updateOne({ _id: document._id }, { $set: updates });
+                }
+            }
+        }
+
+        console.log(`🔐 Private migration of ${dbname}${dryRun ? ' (dry run)' : ''}: ${result.urls} URL(s) in ${result.documents} document(s)`);
+        res.json({ success: true, dbname: dbname, dryRun: dryRun, ...result });
+    } catch (error) {
+        console.error("❌ Private migration failed:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ✅ Test endpoint to verify S3 path creation
+app.get("/api/test-s3-path-creation", async (req, res) => {
+    try {
+        console.log("🧪 Testing S3 automatic folder creation...");
+
+        const testData = {
+            standard: "10",
+            subject: "Mathematics",
+            lesson: "Algebra",
+            topic: "Quadratic_Equations"
+        };
+
+        const testFilename = `test_${Date.now()}.txt`;
+        const testContent = `This file tests S3 automatic folder creation.
+Path: subtopics/aivideospath/standard_${testData.standard}/${testData.subject}/${testData.lesson}/${testData.topic}/
+Time: ${new Date().toISOString()}`;
+
+        // Generate the path
+        const folderPath = generateS3Path(
+            testData.standard,
+            testData.subject,
+            testData.lesson,
+            testData.topic
+        );
+
+        const key = `${folderPath}${testFilename}`;
+
+        console.log("📁 Testing with key:", key);
+
+        // Upload test file - S3 will AUTO-CREATE folders!
+        const { url: s3Url } = await storage.put(key, testContent, {
+            contentType: 'text/plain',
+            metadata: {
+                'test': 'true',
+                'timestamp': Date.now().toString()
+            }
+        });
+
+        console.log("✅ Test file uploaded successfully!");
+        console.log("📍 S3 Console URL:", storage.consoleUrl(folderPath));
+
+        res.json({
+            success: true,
+            message: "✅ S3 automatic folder creation successful!",
+            details: {
+                ...storage.describe(),
+                path: folderPath,
+                fullKey: key,
+                s3Url: s3Url,
+                consoleUrl: storage.consoleUrl(folderPath),
+                note: "Folders were automatically created by S3 - no manual creation needed!"
+            }
+        });
+
+    } catch (error) {
+        console.error("❌ Test failed:", error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            note: "Check IAM role permissions for s3:PutObject"
+        });
+    }
+});
+
+// ✅ Endpoint to check bucket and path
+app.get("/api/check-s3-bucket", async (req, res) => {
+    try {
+        const bucketInfo = {
+            ...storage.describe(),
+            baseFolder: S3_BASE_FOLDER,
+            usingIAMRole: storage.name === 's3',
+            note: "S3 automatically creates folders when you upload with a path",
+            example: {
+                path: `${S3_BASE_FOLDER}/standard_10/Mathematics/Algebra/Quadratic_Equations/`,
+                howItWorks: "Upload a file with this path and S3 creates all folders automatically"
+            }
+        };
+
+        res.json({
+            success: true,
+            bucketInfo
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ✅ ENHANCED: saveVideoToDatabase with custom description support
+// `extraFields` are saved on the subtopic alongside the video (e.g. the source audio path)
+async function saveVideoToDatabase(s3Url, subtopicId, dbname, subjectName, customDescription = null, extraFields = {}) {
+    console.log("💾 ENHANCED SAVE TO DATABASE: Starting...");
+    console.log("📋 Parameters:", { subtopicId, dbname, subjectName, s3Url, customDescription });
+
+    try {
+        const dbConn = getDB(dbname);
+        const collection = dbConn.collection(subjectName);
+
+        if (!subjectName || subjectName.trim() === "") {
+            throw new Error("subjectName is required");
+        }
+
+        // ✅ FIXED: Build consistent update data
+        const baseUpdateData = {
+            aiVideoUrl: s3Url,
+            updatedAt: new Date(),
+            videoStorage: storage.storedIn,
+            s3Path: keyFromStoredUrl(s3Url),
+            ...extraFields
+        };
+
+        // ✅ FIXED: Add custom description fields
+        if (customDescription && customDescription.trim() !== "") {
+            baseUpdateData.customDescription = customDescription;
+            baseUpdateData.description = customDescription; // Update main description
+            baseUpdateData.updatedDescriptionAt = new Date();
+            console.log("✅ Custom description will be saved:", customDescription.substring(0, 100) + "...");
+        }
+
+        // ✅ STEP 1: Try direct MongoDB updates first (more reliable)
+        console.log("🔄 Step 1: Direct MongoDB updates...");
+
+        // Strategy 1: Try with ObjectId if valid
+        if (ObjectId.isValid(subtopicId)) {
+            const objectId = new ObjectId(subtopicId);
+
+            // 1.1: Update as main document with ObjectId
+            const result1 = await collection.updateOne(
+                { "_id": objectId },
+                { $set: baseUpdateData }
+            );
+
+            if (result1.modifiedCount > 0) {
+                console.log("✅ Updated as main document with ObjectId");
+                return {
+                    success: true,
+                    message: "Video URL and custom description saved as main document",
+                    collection: subjectName,
+                    updateMethod: "main_document_objectid",
+                    matchedCount: result1.matchedCount,
+                    modifiedCount: result1.modifiedCount,
+                    customDescriptionSaved: !!customDescription
+                };
+            }
+
+            // 1.2: Update in nested arrays with ObjectId
+            const arrayFields = ['units', 'subtopics', 'children', 'topics', 'lessons'];
+
+            for (const field of arrayFields) {
+                // Build dynamic update for nested arrays
+                const nestedUpdate = {};
+                for (const key in baseUpdateData) {
+                    nestedUpdate[`${field}.$.${key}`] = baseUpdateData[key];
+                }
+
+                const result = await collection.updateOne(
+                    { [`${field}._id`]: objectId },
+                    { $set: nestedUpdate }
+                );
+
+                if (result.modifiedCount > 0) {
+                    console.log(`✅ Updated in nested ${field} array with ObjectId`);
+                    return {
+                        success: true,
+                        message: `Video URL and custom description saved in ${field} array`,
+                        collection: subjectName,
+                        updateMethod: `nested_${field}_objectid`,
+                        matchedCount: result.matchedCount,
+                        modifiedCount: result.modifiedCount,
+                        customDescriptionSaved: !!customDescription
+                    };
+                }
+            }
+
+            // ✅ NEW: Try deep nested update with ObjectId
+            console.log("🔄 Trying deep nested ObjectId update...");
+            const allDocs = await collection.find({}).toArray();
+
+            for (const document of allDocs) {
+                const deepUpdateResult = await updateNestedArrayWithObjectId(
+                    collection,
+                    document,
+                    objectId,
+                    s3Url,
+                    customDescription,
+                    extraFields
+                );
+
+                if (deepUpdateResult.success) {
+                    console.log("✅ Deep nested ObjectId update successful");
+                    return {
+                        ...deepUpdateResult,
+                        customDescriptionSaved: !!customDescription
+                    };
+                }
+            }
+        }
+
+        // ✅ STEP 2: Try with string ID
+        console.log("🔄 Step 2: Trying string ID updates...");
+
+        // 2.1: Update as main document with string ID
+        const result2 = await collection.updateOne(
+            { "_id": subtopicId },
+            { $set: baseUpdateData }
+        );
+
+        if (result2.modifiedCount > 0) {
+            console.log("✅ Updated as main document with string ID");
+            return {
+                success: true,
+                message: "Video URL and custom description saved as main document (string ID)",
+                collection: subjectName,
+                updateMethod: "main_document_string",
+                matchedCount: result2.matchedCount,
+                modifiedCount: result2.modifiedCount,
+                customDescriptionSaved: !!customDescription
+            };
+        }
+
+        // 2.2: Update in nested arrays with string ID
+        const arrayFields = ['units', 'subtopics', 'children', 'topics', 'lessons'];
 
         for (const field of arrayFields) {
             // Build dynamic update for nested arrays
@@ -892,1367 +2673,4139 @@ async function saveVideoToDatabase(s3Url, subtopicId, dbname, subjectName, custo
                 nestedUpdate[`${field}.$.${key}`] = baseUpdateData[key];
             }
 
-            // Try with _id field
-            const result = await collection.updateOne(
-                { [`${field}._id`]: subtopicId },
-                { $set: nestedUpdate }
-            );
+            // Try with _id field
+            const result = await collection.updateOne(
+                { [`${field}._id`]: subtopicId },
+                { $set: nestedUpdate }
+            );
+
+            if (result.modifiedCount > 0) {
+                console.log(`✅ Updated in nested ${field}._id array with string ID`);
+                return {
+                    success: true,
+                    message: `Video URL and custom description saved in ${field}._id array`,
+                    collection: subjectName,
+                    updateMethod: `nested_${field}_string_id`,
+                    matchedCount: result.matchedCount,
+                    modifiedCount: result.modifiedCount,
+                    customDescriptionSaved: !!customDescription
+                };
+            }
+
+            // Try with id field
+            const result2 = await collection.updateOne(
+                { [`${field}.id`]: subtopicId },
+                { $set: nestedUpdate }
+            );
+
+            if (result2.modifiedCount > 0) {
+                console.log(`✅ Updated in nested ${field}.id array with string ID`);
+                return {
+                    success: true,
+                    message: `Video URL and custom description saved in ${field}.id array`,
+                    collection: subjectName,
+                    updateMethod: `nested_${field}_string_field`,
+                    matchedCount: result2.matchedCount,
+                    modifiedCount: result2.modifiedCount,
+                    customDescriptionSaved: !!customDescription
+                };
+            }
+        }
+
+        // ✅ NEW: Try deep nested update with String ID
+        console.log("🔄 Trying deep nested String ID update...");
+        const allDocs2 = await collection.find({}).toArray();
+
+        for (const document of allDocs2) {
+            const deepUpdateResult = await updateNestedArrayWithStringId(
+                collection,
+                document,
+                subtopicId,
+                s3Url,
+                customDescription,
+                extraFields
+            );
+
+            if (deepUpdateResult.success) {
+                console.log("✅ Deep nested String ID update successful");
+                return {
+                    ...deepUpdateResult,
+                    customDescriptionSaved: !!customDescription
+                };
+            }
+        }
+
+        // ✅ STEP 3: Recursive search and update
+        console.log("🔄 Step 3: Trying recursive search and update...");
+        const allDocuments = await collection.find({}).toArray();
+
+        for (const document of allDocuments) {
+            const updated = await updateNestedStructureRecursive(
+                collection,
+                document,
+                subtopicId,
+                baseUpdateData
+            );
+
+            if (updated.success) {
+                return {
+                    ...updated,
+                    customDescriptionSaved: !!customDescription
+                };
+            }
+        }
+
+        // ✅ STEP 4: Try multi-level nested array update
+        console.log("🔄 Step 4: Trying multi-level nested array update...");
+        const nestedFields = ['units', 'subtopics', 'children'];
+
+        for (const field of nestedFields) {
+            const multiLevelResult = await updateMultiLevelNestedArray(
+                collection,
+                field,
+                subtopicId,
+                s3Url,
+                null,
+                extraFields
+            );
+
+            if (multiLevelResult.success) {
+                console.log(`✅ Multi-level update in ${field} successful`);
+                return {
+                    ...multiLevelResult,
+                    customDescriptionSaved: !!customDescription
+                };
+            }
+        }
+
+        // If nothing worked
+        console.log("❌ All update strategies failed");
+        return {
+            success: false,
+            message: "Subtopic not found in database",
+            collection: subjectName,
+            updateMethod: "not_found",
+            customDescriptionSaved: false,
+            debug: {
+                subtopicId: subtopicId,
+                isObjectId: ObjectId.isValid(subtopicId),
+                customDescriptionProvided: !!customDescription,
+                customDescriptionLength: customDescription?.length || 0
+            }
+        };
+
+    } catch (error) {
+        console.error("❌ Database save error:", error);
+        return {
+            success: false,
+            message: "Database save failed: " + error.message,
+            customDescriptionSaved: false
+        };
+    }
+}
+
+async function updateNestedStructureRecursive(collection, document, targetId, updateData) {
+    try {
+        const docId = document._id;
+        const path = findPathInNested(document, targetId);
+
+        if (path) {
+            // Build the update query dynamically
+            const updateQuery = {};
+            for (const key in updateData) {
+                updateQuery[`${path}.${key}`] = updateData[key];
+            }
+
+            const result = await collection.updateOne(
+                { "_id": docId },
+                { $set: updateQuery }
+            );
+
+            if (result.modifiedCount > 0) {
+                return {
+                    success: true,
+                    message: `Updated at path: ${path}`,
+                    updateMethod: "recursive_update",
+                    matchedCount: result.matchedCount,
+                    modifiedCount: result.modifiedCount,
+                    customDescriptionSaved: updateData.customDescription !== undefined
+                };
+            }
+        }
+
+        return { success: false };
+    } catch (error) {
+        console.error("❌ Recursive update error:", error);
+        return { success: false };
+    }
+}
+
+// ✅ UPDATED: Helper function to update deeply nested arrays with ObjectId
+async function updateNestedArrayWithObjectId(collection, document, objectId, s3Url, customDescription = null, extraFields = {}) {
+    try {
+        const documentId = document._id;
+
+        // Function to search and build update path
+        const findPath = (obj, targetId, path = '') => {
+            if (!obj || typeof obj !== 'object') return null;
+
+            // Check all array fields
+            const arrayFields = ['units', 'subtopics', 'children', 'topics', 'lessons'];
+
+            for (const field of arrayFields) {
+                if (Array.isArray(obj[field])) {
+                    for (let i = 0; i < obj[field].length; i++) {
+                        const item = obj[field][i];
+                        const itemId = item._id || item.id;
+
+                        // Compare ObjectIds
+                        if (itemId && itemId.toString() === targetId.toString()) {
+                            return `${field}.${i}`;
+                        }
+
+                        // Search deeper
+                        const deeperPath = findPath(item, targetId, `${field}.${i}`);
+                        if (deeperPath) {
+                            return `${field}.${i}.${deeperPath}`;
+                        }
+                    }
+                }
+            }
+
+            return null;
+        };
+
+        const path = findPath(document, objectId);
+
+        if (path) {
+            // Build the update query
+            const updateQuery = {};
+            updateQuery[`${path}.aiVideoUrl`] = s3Url;
+            updateQuery[`${path}.updatedAt`] = new Date();
+            updateQuery[`${path}.videoStorage`] = storage.storedIn;
+            updateQuery[`${path}.s3Path`] = keyFromStoredUrl(s3Url);
+            for (const key in extraFields) {
+                updateQuery[`${path}.${key}`] = extraFields[key];
+            }
+
+            // Add custom description
+            if (customDescription) {
+                updateQuery[`${path}.customDescription`] = customDescription;
+                updateQuery[`${path}.description`] = customDescription;
+                updateQuery[`${path}.updatedDescriptionAt`] = new Date();
+            }
+
+            const result = await collection.updateOne(
+                { "_id": documentId },
+                { $set: updateQuery }
+            );
+
+            if (result.modifiedCount > 0) {
+                return {
+                    success: true,
+                    message: `Video URL and description saved at path: ${path}`,
+                    updateMethod: "deep_nested_objectid",
+                    matchedCount: result.matchedCount,
+                    modifiedCount: result.modifiedCount,
+                    customDescriptionSaved: !!customDescription
+                };
+            }
+        }
+
+        return { success: false };
+
+    } catch (error) {
+        console.error("❌ Nested array update error:", error);
+        return { success: false };
+    }
+}
+
+// ✅ NEW: Helper function to update deeply nested arrays with String ID
+async function updateNestedArrayWithStringId(collection, document, stringId, s3Url, customDescription = null, extraFields = {}) {
+    try {
+        const documentId = document._id;
+
+        // Function to search and build update path
+        const findPath = (obj, targetId, path = '') => {
+            if (!obj || typeof obj !== 'object') return null;
+
+            // Check all array fields
+            const arrayFields = ['units', 'subtopics', 'children', 'topics', 'lessons'];
+
+            for (const field of arrayFields) {
+                if (Array.isArray(obj[field])) {
+                    for (let i = 0; i < obj[field].length; i++) {
+                        const item = obj[field][i];
+                        const itemId = item._id || item.id;
+
+                        // Compare string IDs
+                        if (itemId && itemId.toString() === targetId) {
+                            return `${field}.${i}`;
+                        }
+
+                        // Search deeper
+                        const deeperPath = findPath(item, targetId, `${field}.${i}`);
+                        if (deeperPath) {
+                            return `${field}.${i}.${deeperPath}`;
+                        }
+                    }
+                }
+            }
+
+            return null;
+        };
+
+        const path = findPath(document, stringId);
+
+        if (path) {
+            // Build the update query
+            const updateQuery = {};
+            updateQuery[`${path}.aiVideoUrl`] = s3Url;
+            updateQuery[`${path}.updatedAt`] = new Date();
+            updateQuery[`${path}.videoStorage`] = storage.storedIn;
+            updateQuery[`${path}.s3Path`] = keyFromStoredUrl(s3Url);
+            for (const key in extraFields) {
+                updateQuery[`${path}.${key}`] = extraFields[key];
+            }
+
+            if (customDescription && customDescription.trim() !== "") {
+                updateQuery[`${path}.customDescription`] = customDescription;
+                updateQuery[`${path}.description`] = customDescription;
+                updateQuery[`${path}.updatedDescriptionAt`] = new Date();
+                console.log(`✅ Adding custom description to update at path: ${path}`);
+            }
+
+            const result = await collection.updateOne(
+                { "_id": documentId },
+                { $set: updateQuery }
+            );
+
+            if (result.modifiedCount > 0) {
+                return {
+                    success: true,
+                    message: `Video URL ${customDescription ? 'and description' : ''} saved at path: ${path}`,
+                    updateMethod: "deep_nested_stringid",
+                    matchedCount: result.matchedCount,
+                    modifiedCount: result.modifiedCount,
+                    customDescriptionSaved: !!customDescription
+                };
+            }
+        }
+
+        return { success: false };
+
+    } catch (error) {
+        console.error("❌ Nested array update error:", error);
+        return { success: false };
+    }
+}
+
+// ✅ NEW: Multi-level nested array update using aggregation
+async function updateMultiLevelNestedArray(collection, fieldName, subtopicId, s3Url, customDescription = null, extraFields = {}) {
+    try {
+        console.log(`🔍 Searching multi-level nested in ${fieldName} for: ${subtopicId}`);
+
+        // Use aggregation to find the document
+        const pipeline = [
+            {
+                $match: {
+                    $or: [
+                        { [`${fieldName}._id`]: subtopicId },
+                        { [`${fieldName}.id`]: subtopicId },
+                        { [`${fieldName}.${fieldName}._id`]: subtopicId },
+                        { [`${fieldName}.${fieldName}.id`]: subtopicId }
+                    ]
+                }
+            }
+        ];
+
+        const docs = await collection.aggregate(pipeline).toArray();
+
+        if (docs.length > 0) {
+            const doc = docs[0];
+            const docId = doc._id;
+
+            // Try to build the update path
+            let updatePath = null;
+
+            // Search for the item
+            const searchItem = (items, targetId, path = fieldName) => {
+                if (!Array.isArray(items)) return null;
+
+                for (let i = 0; i < items.length; i++) {
+                    const item = items[i];
+                    const itemId = item._id || item.id;
+
+                    if (itemId && itemId.toString() === targetId) {
+                        return `${path}.${i}`;
+                    }
+
+                    // Check nested arrays
+                    if (item[fieldName] && Array.isArray(item[fieldName])) {
+                        const nestedPath = searchItem(item[fieldName], targetId, `${path}.${i}.${fieldName}`);
+                        if (nestedPath) return nestedPath;
+                    }
+                }
+
+                return null;
+            };
+
+            if (doc[fieldName] && Array.isArray(doc[fieldName])) {
+                updatePath = searchItem(doc[fieldName], subtopicId);
+            }
+
+            if (updatePath) {
+                // Build the update query
+                const updateQuery = {};
+                updateQuery[`${updatePath}.aiVideoUrl`] = s3Url;
+                updateQuery[`${updatePath}.updatedAt`] = new Date();
+                updateQuery[`${updatePath}.videoStorage`] = storage.storedIn;
+                updateQuery[`${updatePath}.s3Path`] = keyFromStoredUrl(s3Url);
+                for (const key in extraFields) {
+                    updateQuery[`${updatePath}.${key}`] = extraFields[key];
+                }
+
+                if (customDescription && customDescription.trim() !== "") {
+                    updateQuery[`${updatePath}.customDescription`] = customDescription;
+                    updateQuery[`${updatePath}.description`] = customDescription;
+                    updateQuery[`${updatePath}.updatedDescriptionAt`] = new Date();
+                    console.log(`✅ Adding custom description to multi-level update at path: ${updatePath}`);
+                }
+
+                const result = await collection.updateOne(
+                    { "_id": docId },
+                    { $set: updateQuery }
+                );
+
+                if (result.modifiedCount > 0) {
+                    return {
+                        success: true,
+                        message: `Video URL ${customDescription ? 'and description' : ''} saved at multi-level path: ${updatePath}`,
+                        updateMethod: "multi_level_nested",
+                        matchedCount: result.matchedCount,
+                        modifiedCount: result.modifiedCount,
+                        customDescriptionSaved: !!customDescription
+                    };
+                }
+            }
+        }
+
+        return { success: false };
+
+    } catch (error) {
+        console.error("❌ Multi-level update error:", error);
+        return { success: false };
+    }
+}
+
+// ✅ SIMPLIFIED: Create folder structure in S3
+app.post("/api/create-s3-folder", async (req, res) => {
+    try {
+        const { folderPath, bucket } = req.body;
+
+        if (!folderPath) {
+            return res.status(400).json({
+                success: false,
+                error: "Missing folderPath"
+            });
+        }
+
+        console.log("📁 Creating folder structure:", folderPath);
+
+        // Parse the folder path
+        let targetBucket = bucket || storage.bucket;
+        let targetPrefix = folderPath;
+
+        if (folderPath.startsWith('s3://')) {
+            const pathWithoutPrefix = folderPath.replace('s3://', '');
+            const firstSlashIndex = pathWithoutPrefix.indexOf('/');
+            targetBucket = pathWithoutPrefix.substring(0, firstSlashIndex);
+            targetPrefix = pathWithoutPrefix.substring(firstSlashIndex + 1);
+        }
+
+        // Ensure the path ends with a slash
+        if (!targetPrefix.endsWith('/')) {
+            targetPrefix = targetPrefix + '/';
+        }
+
+        // Create a folder marker file
+        const folderMarkerKey = targetPrefix + FOLDER_MARKER_NAME;
+
+        const targetStorage = getStorage(targetBucket);
+        await targetStorage.put(folderMarkerKey, `Folder created on ${new Date().toISOString()}`, {
+            contentType: 'text/plain'
+        });
+
+        console.log("✅ Folder structure created:", targetPrefix);
+
+        res.json({
+            success: true,
+            message: "Folder structure created successfully",
+            directory: targetPrefix,
+            bucket: targetStorage.bucket,
+            consoleUrl: targetStorage.consoleUrl(targetPrefix)
+        });
+
+    } catch (error) {
+        console.error("❌ Error creating folder:", error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ✅ CORRECTED: Copies S3 file and updates the nested aiVideoUrl in the database
+// ✅ FIXED: Handles nested units at ANY depth (units within units within units)
+app.post("/api/copy-s3-file", async (req, res) => {
+    try {
+        const {
+            sourceUrl,
+            destinationPath,
+            dbname,
+            subjectName,
+            subtopicId, // This is the ID of the nested unit
+            customDescription,
+            createdBy
+        } = req.body;
+
+        console.log("🔄 Starting S3 file COPY process...");
+        console.log("📁 Source URL:", sourceUrl);
+        console.log("📁 Destination Path:", destinationPath);
+        console.log("📌 Subtopic ID (target for update):", subtopicId);
+        console.log("📌 Subject:", subjectName);
+
+        // --- Input Validation ---
+        if (!sourceUrl || !destinationPath || !subtopicId || !subjectName) {
+            return res.status(400).json({ success: false, error: "Missing required parameters" });
+        }
+
+        // --- 1. Parse and Execute S3 Copy ---
+        const source = locateStoredObject(sourceUrl);
+        if (!source) {
+            return res.status(400).json({ success: false, error: "Invalid S3 URL format" });
+        }
+
+        let targetKey = destinationPath;
+        if (destinationPath.startsWith('s3://')) {
+            const pathParts = destinationPath.replace('s3://', '').split('/');
+            pathParts.shift(); // Remove bucket name
+            targetKey = pathParts.join('/');
+        }
+
+        console.log("📋 Copying file...");
+        const copied = await source.store.copy(source.key, targetKey);
+        const newUrl = source.store === storage ? toStoredUrl(targetKey) : copied.url;
+        console.log("✅ File copied successfully");
+
+        // --- 2. Point the subtopic at the copy, keeping the replaced video in its history ---
+        console.log(`💾 Updating database for Subtopic ID: ${subtopicId}`);
+
+        // Renditions and source audio belong to the replaced video, not the copy
+        const clearedFields = Object.fromEntries(VIDEO_VERSION_FIELDS.map(field => [field, null]));
+        const saveResult = await saveVideoVersion(newUrl, subtopicId, dbname, subjectName, {
+            extraFields: clearedFields,
+            source: 'copy',
+            createdBy: createdBy
+        });
+
+        const updateMethod = saveResult.updateMethod || "none";
+        console.log(`📊 Update Result - Matched: ${saveResult.matchedCount || 0}, Modified: ${saveResult.modifiedCount || 0}, Method: ${updateMethod}`);
+
+        const databaseUpdated = saveResult.success;
+
+        if (!databaseUpdated) {
+            console.warn(`⚠️ Warning: Database update affected 0 documents. Check if subtopicId '${subtopicId}' exists at any nesting level.`);
+        }
+
+        res.json({
+            success: true,
+            message: databaseUpdated
+                ? `✅ File copied and database updated successfully! (${updateMethod})`
+                : "⚠️ File copied, but the database record was not found or updated.",
+            newUrl: newUrl,
+            database_updated: databaseUpdated,
+            update_method: updateMethod,
+            videoVersion: saveResult.videoVersion || null,
+            db_details: {
+                matchedCount: saveResult.matchedCount || 0,
+                modifiedCount: saveResult.modifiedCount || 0
+            }
+        });
+
+    } catch (error) {
+        console.error("❌ Server Error in /api/copy-s3-file:", error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ✅ DEBUG endpoint to check parameters
+app.post("/api/debug-copy-request", async (req, res) => {
+    try {
+        console.log("🔍 DEBUG - Received request body:", req.body);
+
+        const {
+            oldUrl,
+            newFullPath,
+            dbname,
+            subjectName,
+            subtopicId
+        } = req.body;
+
+        const missingParams = [];
+        if (!oldUrl) missingParams.push('oldUrl');
+        if (!newFullPath) missingParams.push('newFullPath');
+        if (!dbname) missingParams.push('dbname');
+        if (!subjectName) missingParams.push('subjectName');
+        if (!subtopicId) missingParams.push('subtopicId');
+
+        if (missingParams.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: "Missing parameters",
+                missing: missingParams,
+                received: req.body
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "All parameters received",
+            received: req.body
+        });
+    } catch (error) {
+        console.error("❌ Debug error:", error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ✅ Idempotency keys - a repeated request inside the window gets the original result
+const IDEMPOTENCY_WINDOW_MS = config.idempotencyWindowMinutes * 60 * 1000;
+
+function getIdempotencyCollection() {
+    return client.db(JOBS_DB_NAME).collection('idempotencyKeys');
+}
+
+function hashScript(...parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+// Uses the Idempotency-Key header, else a key derived from the request content
+function buildIdempotencyKey(req, endpoint, fallbackParts) {
+    const headerKey = req.get('Idempotency-Key');
+    if (headerKey) return `${endpoint}:header:${headerKey}`;
+    if (fallbackParts) return `${endpoint}:auto:${fallbackParts.join(':')}`;
+    return null;
+}
+
+// Returns null when the key was claimed for this request, otherwise the existing record.
+// `requestHash` is stored with the key so a reused key can be told apart from a retry.
+async function claimIdempotencyKey(key, requestHash = null) {
+    const keys = getIdempotencyCollection();
+
+    for (let i = 0; i < 2; i++) {
+        try {
+            await keys.insertOne({
+                _id: key,
+                requestHash: requestHash,
+                createdAt: new Date(),
+                expiresAt: new Date(Date.now() + IDEMPOTENCY_WINDOW_MS)
+            });
+            return null;
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+
+            const existing = await keys.findOne({ _id: key });
+            // The TTL monitor only runs once a minute - treat expired keys as gone
+            if (existing && existing.expiresAt > new Date()) {
+                return existing;
+            }
+            await keys.deleteOne({ _id: key, expiresAt: { $lte: new Date() } });
+        }
+    }
+
+    return keys.findOne({ _id: key });
+}
+
+// An Idempotency-Key header sent again with a different request is a client bug, not a retry,
+// so it must not replay. Derived keys already cover the fields that make a request distinct.
+function isIdempotencyKeyMismatch(key, existing, requestHash) {
+    return key.includes(':header:') && !!(existing && existing.requestHash && existing.requestHash !== requestHash);
+}
+
+const IDEMPOTENCY_MISMATCH_ERROR = "This Idempotency-Key was already used with a different request";
+
+async function completeIdempotencyKey(key, fields) {
+    try {
+        await getIdempotencyCollection().updateOne({ _id: key }, { $set: { ...fields, completedAt: new Date() } });
+    } catch (error) {
+        console.error(`❌ Failed to store idempotent result for ${key}:`, error.message);
+    }
+}
+
+async function releaseIdempotencyKey(key) {
+    try {
+        await getIdempotencyCollection().deleteOne({ _id: key });
+    } catch (error) {
+        console.error(`❌ Failed to release idempotency key ${key}:`, error.message);
+    }
+}
+
+// ✅ Pre-recorded narration - /generate-and-upload also takes multipart/form-data with an
+// `audio` file (same multer setup as the logo upload). The recording is stored in S3 next to
+// the video and the clip lip-syncs it instead of using a TTS voice.
+const AUDIO_EXTENSIONS = {
+    'audio/mpeg': 'mp3',
+    'audio/mp3': 'mp3',
+    'audio/wav': 'wav',
+    'audio/x-wav': 'wav',
+    'audio/wave': 'wav',
+    'audio/mp4': 'm4a',
+    'audio/x-m4a': 'm4a',
+    'audio/m4a': 'm4a'
+};
+
+function acceptAudioUpload(req, res, next) {
+    if (!req.is('multipart/form-data')) {
+        return next();
+    }
+
+    const multer = require('multer');
+    const upload = multer({
+        dest: 'uploads/',
+        limits: { fileSize: config.audioMaxBytes },
+        fileFilter: (req, file, cb) => {
+            if (!AUDIO_EXTENSIONS[file.mimetype]) {
+                return cb(new Error(`Unsupported audio type ${file.mimetype} (use mp3, wav or m4a)`));
+            }
+            cb(null, true);
+        }
+    });
+
+    upload.single('audio')(req, res, (err) => {
+        if (err) {
+            console.error("❌ Audio upload error:", err.message);
+            return res.status(400).json({
+                success: false,
+                error: "Audio upload error: " + err.message
+            });
+        }
+
+        // Form fields arrive as strings
+        if (typeof req.body.questions === 'string') {
+            try {
+                req.body.questions = JSON.parse(req.body.questions || '[]');
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: "questions must be a JSON array"
+                });
+            }
+        }
+
+        next();
+    });
+}
+
+async function hashFile(filePath) {
+    return crypto.createHash('sha256').update(await fs.promises.readFile(filePath)).digest('hex');
+}
+
+// Uploads a multer file into the video's S3 folder; returns what the job and subtopic keep
+async function uploadAudioToS3(file, { standard, subject, lesson, topic }) {
+    const extension = AUDIO_EXTENSIONS[file.mimetype];
+    const baseName = sanitizeForS3Path(path.parse(file.originalname).name);
+    const key = `${generateS3Path(standard, subject, lesson, topic)}${Date.now()}_audio_${baseName}.${extension}`;
+
+    console.log("🎙️ Uploading source audio to S3:", key);
+    const body = await fs.promises.readFile(file.path);
+    await withRetry(() => storage.put(key, body, {
+        contentType: file.mimetype,
+        metadata: {
+            'source': 'teacher-recording',
+            'uploaded-at': new Date().toISOString(),
+            'original-name': sanitizeForS3Metadata(file.originalname)
+        }
+    }), { label: 'Audio upload' });
+
+    return {
+        s3Key: key,
+        s3Url: toStoredUrl(key),
+        sha256: crypto.createHash('sha256').update(body).digest('hex'),
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size
+    };
+}
+
+// ✅ Create a job record and put it in the queue - shared by single and batch generation
+async function createVideoJob({
+    subtopic,
+    description,
+    questions = [],
+    presenter_id = "v2_public_anita@Os4oKCBIgZ",
+    subtopicId,
+    parentId,
+    rootId,
+    dbname = "professional",
+    subjectName,
+    standard,
+    lessonName,
+    topicName,
+    // Falls back to the theme's logo size
+    logoSize,
+    provider,
+    scriptFormat = "text",
+    language = DEFAULT_LANGUAGE,
+    questionTemplate = null,
+    includeAnswers = true,
+    audio = null,
+    outputPresets = DEFAULT_OUTPUT_PRESETS,
+    // Who asked for the video (user id or email), kept in the subtopic's version history
+    createdBy = null
+}, { priority = "normal", callbackUrl = null, callbackSecret = null, batchId = null } = {}) {
+    // Generate unique job ID
+    const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const jobPriority = normalizeJobPriority(priority);
+    const providerName = resolveVideoProviderName(provider, dbname);
+    const theme = await resolveVideoTheme({ dbname, subjectName, standard });
+    const jobLogoSize = logoSize || theme.logoSize;
+
+    // ✅ Everything processVideoJob needs, stored so queued jobs survive a restart
+    const jobParams = {
+        subtopic,
+        description,
+        questions,
+        presenter_id,
+        subtopicId,
+        parentId,
+        rootId,
+        dbname,
+        subjectName,
+        // ✅ CRITICAL: Pass path components
+        standard: standard || 'no_standard',
+        lessonName: lessonName || subtopic,
+        topicName: topicName || subtopic,
+        // ✅ PASS LOGO SIZE
+        logoSize: jobLogoSize,
+        theme: theme,
+        providerName: providerName,
+        scriptFormat: scriptFormat,
+        language: language,
+        questionTemplate: toJobQuestionTemplate(questionTemplate),
+        includeAnswers: includeAnswers,
+        audio: audio,
+        outputPresets: outputPresets,
+        createdBy: createdBy
+    };
+
+    // Store initial job status WITH PATH COMPONENTS AND LOGO SIZE
+    await createJob(jobId, {
+        status: 'queued',
+        subtopic: subtopic,
+        questions: questions.length,
+        presenter: presenter_id,
+        progress: 'Waiting in queue...',
+        videoUrl: null,
+        error: null,
+        subtopicId: subtopicId,
+        dbname: dbname,
+        subjectName: subjectName,
+        // ✅ CRITICAL: Store path components
+        standard: standard || 'no_standard',
+        lessonName: lessonName || subtopic,
+        topicName: topicName || subtopic,
+        // ✅ STORE LOGO SIZE
+        logoSize: jobLogoSize,
+        theme: theme.themeId,
+        provider: providerName,
+        scriptFormat: scriptFormat,
+        language: language,
+        questionTemplate: questionTemplate ? questionTemplate.templateId : BUILT_IN_QUESTION_TEMPLATE,
+        includeAnswers: includeAnswers,
+        narration: audio ? 'audio' : 'tts',
+        audio: audio,
+        outputPresets: outputPresets,
+        createdBy: createdBy,
+        priority: jobPriority,
+        queuedAt: new Date(),
+        jobParams: jobParams,
+        callbackUrl: callbackUrl || null,
+        callbackSecret: callbackSecret || null,
+        batchId: batchId
+    });
+
+    // ✅ QUEUE FOR BACKGROUND PROCESSING
+    enqueueVideoJob(jobId, jobParams, jobPriority);
+
+    return { jobId, jobPriority, logoSize: jobLogoSize, themeId: theme.themeId };
+}
+
+// ✅ FIXED: Async video generation with immediate response
+app.post("/generate-and-upload", acceptAudioUpload, async (req, res) => {
+    let idempotencyKey = null;
+
+    try {
+        const {
+            subtopic,
+            description,
+            questions = [],
+            presenter_id = "v2_public_anita@Os4oKCBIgZ",
+            subtopicId,
+            parentId,
+            rootId,
+            dbname = "professional",
+            subjectName,
+            // ✅ CRITICAL: Get path components
+            standard,
+            lessonName,
+            topicName,
+            // ✅ ADD LOGO SIZE PARAMETER
+            logoSize,  // Defaults to the subject's theme, else small
+            // "high" = publish today, "low" = backfill
+            priority = "normal",
+            // Optional completion webhook
+            callbackUrl,
+            callbackSecret,
+            // Avatar provider override, e.g. "d-id"
+            provider,
+            // "text" (default) or "ssml"
+            scriptFormat = "text",
+            // Narration, captions and quiz prompts, e.g. "ta" or "hi-IN"
+            language,
+            // Question template id (defaults to the tenant/subject default), and whether
+            // the video reads out the answers
+            questionTemplate: questionTemplateId,
+            includeAnswers,
+            // e.g. ["landscape", "portrait"] or "landscape,square"; see GET /api/output-presets
+            outputPresets: requestedOutputPresets,
+            // User id or email, shown in the subtopic's video history
+            createdBy
+        } = req.body;
+
+        if (callbackUrl && !isValidCallbackUrl(callbackUrl)) {
+            return res.status(400).json({
+                success: false,
+                error: "callbackUrl must be an http(s) URL"
+            });
+        }
+
+        const providerName = resolveVideoProviderName(provider, dbname);
+        if (!videoProviders.has(providerName)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown video provider: ${providerName}`
+            });
+        }
+
+        const narrationLanguage = normalizeLanguage(language);
+        if (!narrationLanguage) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported language "${language}". Supported: ${Object.keys(NARRATION_LANGUAGES).join(', ')}`
+            });
+        }
+
+        const outputPresets = normalizeOutputPresets(requestedOutputPresets);
+        if (!outputPresets) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown output preset in "${requestedOutputPresets}". Available: ${Object.keys(OUTPUT_PRESETS).join(', ')}`
+            });
+        }
+
+        const questionTemplate = await resolveQuestionTemplate({
+            templateId: questionTemplateId,
+            dbname,
+            subjectName,
+            language: narrationLanguage
+        });
+        if (questionTemplateId && questionTemplateId !== BUILT_IN_QUESTION_TEMPLATE && !questionTemplate) {
+            return res.status(400).json({
+                success: false,
+                error: `Question template "${questionTemplateId}" not found for ${dbname}/${subjectName || '*'}`
+            });
+        }
+
+        if (!SCRIPT_FORMATS.includes(scriptFormat)) {
+            return res.status(400).json({
+                success: false,
+                error: `scriptFormat must be one of: ${SCRIPT_FORMATS.join(', ')}`
+            });
+        }
+
+        if (scriptFormat === 'ssml') {
+            try {
+                normalizeSsml(description || '');
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid SSML: ${error.message}`
+                });
+            }
+        }
+
+        if (!req.file && !(description && String(description).trim())) {
+            return res.status(400).json({
+                success: false,
+                error: "Provide a description to narrate or an audio file"
+            });
+        }
+
+        // The recording is lip-synced as is, so spoken quiz questions would be silently dropped
+        if (req.file && Array.isArray(questions) && questions.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: "questions can't be combined with an audio file - record them into the audio instead"
+            });
+        }
+
+        console.log("🎬 GENERATE VIDEO: Starting video generation for:", subtopic);
+        console.log("📋 Path Components:", { standard, subjectName, lessonName, topicName });
+        console.log("🖼️ Logo Size:", logoSize || "from theme");
+
+        const audioHash = req.file ? await hashFile(req.file.path) : null;
+        const requestHash = hashScript(req.body, audioHash);
+        idempotencyKey = buildIdempotencyKey(req, 'generate',
+            subtopicId && [subtopicId, narrationLanguage, hashScript(dbname, subjectName, description, questions, questionTemplateId, includeAnswers,
+                audioHash, outputPresets, presenter_id, logoSize, provider, scriptFormat)]);
+
+        if (idempotencyKey) {
+            let existing = await claimIdempotencyKey(idempotencyKey, requestHash);
+
+            if (isIdempotencyKeyMismatch(idempotencyKey, existing, requestHash)) {
+                idempotencyKey = null;
+                return res.status(422).json({ success: false, error: IDEMPOTENCY_MISMATCH_ERROR });
+            }
+
+            if (existing && existing.jobId) {
+                const originalJob = await getJob(existing.jobId);
+
+                if (originalJob && !['failed', 'cancelled'].includes(originalJob.status)) {
+                    console.log(`♻️ Idempotent replay of job ${existing.jobId}`);
+                    res.set('Idempotent-Replayed', 'true');
+                    return res.json({
+                        ...existing.response,
+                        status: originalJob.status,
+                        idempotent_replay: true
+                    });
+                }
+
+                // The original attempt did not succeed - let this request start fresh work
+                await releaseIdempotencyKey(idempotencyKey);
+                existing = await claimIdempotencyKey(idempotencyKey, requestHash);
+            }
+
+            if (existing) {
+                idempotencyKey = null;
+                return res.status(409).json({
+                    success: false,
+                    error: "An identical request is already being processed"
+                });
+            }
+        }
+
+        // ✅ Recording goes to S3 next to where the video will be stored
+        const audio = req.file ? await uploadAudioToS3(req.file, {
+            standard: standard || 'no_standard',
+            subject: subjectName,
+            lesson: lessonName || subtopic,
+            topic: topicName || subtopic
+        }) : null;
+
+        const { jobId, jobPriority, logoSize: jobLogoSize, themeId } = await createVideoJob({
+            subtopic,
+            description,
+            questions,
+            presenter_id,
+            subtopicId,
+            parentId,
+            rootId,
+            dbname,
+            subjectName,
+            standard,
+            lessonName,
+            topicName,
+            logoSize,
+            provider,
+            scriptFormat,
+            language: narrationLanguage,
+            questionTemplate,
+            includeAnswers: resolveIncludeAnswers(includeAnswers, questionTemplate),
+            audio,
+            outputPresets,
+            createdBy
+        }, { priority, callbackUrl, callbackSecret });
+        const queueInfo = getQueuePosition(jobId);
+
+        const response = {
+            success: true,
+            status: queueInfo ? "queued" : "processing",
+            message: "AI video generation started",
+            job_id: jobId,
+            subtopic: subtopic,
+            logo_size: jobLogoSize,
+            theme: themeId,
+            priority: jobPriority,
+            narration: audio ? "audio" : "tts",
+            output_presets: outputPresets,
+            queue_position: queueInfo ? queueInfo.position : 0,
+            note: "Video is being generated. Use /api/job-status/:jobId to check progress.",
+            estimated_time: "2-3 minutes",
+            check_status: `GET /api/job-status/${jobId}`
+        };
+
+        if (idempotencyKey) {
+            await completeIdempotencyKey(idempotencyKey, { jobId: jobId, response: response });
+        }
+
+        // ✅ IMMEDIATE RESPONSE
+        res.json(response);
+
+    } catch (err) {
+        console.error("❌ Error starting video generation:", err);
+        if (idempotencyKey) {
+            await releaseIdempotencyKey(idempotencyKey);
+        }
+        res.status(500).json({
+            success: false,
+            error: "Failed to start video generation: " + err.message
+        });
+    } finally {
+        if (req.file) {
+            fs.promises.unlink(req.file.path).catch(() => { });
+        }
+    }
+});
+
+// ✅ Batch generation - one job per leaf of a lesson/unit/subject tree
+const BATCH_CHILD_FIELDS = ['units', 'subtopics', 'children'];
+const MAX_BATCH_ITEMS = 500;
+
+function getBatchesCollection() {
+    return client.db(JOBS_DB_NAME).collection('videoBatches');
+}
+
+function getNodeId(node) {
+    const id = node._id || node.id;
+    return id ? id.toString() : null;
+}
+
+function getNodeName(node) {
+    return node.unitName || node.name || node.title || node.subtopic || 'untitled';
+}
+
+function getNodeChildren(node) {
+    return BATCH_CHILD_FIELDS.flatMap(field => Array.isArray(node[field]) ? node[field] : []);
+}
+
+// Finds a node anywhere in the tree, with the names of its ancestors
+function findBatchRoot(node, targetId, ancestors = [], parentId = null) {
+    if (getNodeId(node) === targetId) {
+        return { node, ancestors, parentId };
+    }
+
+    for (const child of getNodeChildren(node)) {
+        const found = findBatchRoot(child, targetId, [...ancestors, getNodeName(node)], getNodeId(node));
+        if (found) return found;
+    }
+
+    return null;
+}
+
+function collectBatchLeaves(node, ancestors, parentId, leaves) {
+    const children = getNodeChildren(node);
+
+    if (children.length === 0) {
+        leaves.push({ node, ancestors, parentId });
+        return leaves;
+    }
+
+    for (const child of children) {
+        collectBatchLeaves(child, [...ancestors, getNodeName(node)], getNodeId(node), leaves);
+    }
+
+    return leaves;
+}
+
+app.post("/api/batch-generate", async (req, res) => {
+    try {
+        const {
+            dbname = "professional",
+            subjectName,
+            lessonId,
+            unitId,
+            force = false,
+            presenter_id = "v2_public_anita@Os4oKCBIgZ",
+            standard,
+            logoSize,
+            // Batches are backfill work unless told otherwise
+            priority = "low",
+            provider,
+            language,
+            questionTemplate: questionTemplateId,
+            includeAnswers,
+            outputPresets: requestedOutputPresets,
+            createdBy
+        } = req.body;
+
+        if (!subjectName) {
+            return res.status(400).json({
+                success: false,
+                error: "Missing subjectName parameter"
+            });
+        }
+
+        // A string like "false" would otherwise regenerate every existing video
+        if (typeof force !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: "force must be true or false"
+            });
+        }
+
+        const providerName = resolveVideoProviderName(provider, dbname);
+        if (!videoProviders.has(providerName)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown video provider: ${providerName}`
+            });
+        }
+
+        const narrationLanguage = normalizeLanguage(language);
+        if (!narrationLanguage) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported language "${language}". Supported: ${Object.keys(NARRATION_LANGUAGES).join(', ')}`
+            });
+        }
+
+        const outputPresets = normalizeOutputPresets(requestedOutputPresets);
+        if (!outputPresets) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown output preset in "${requestedOutputPresets}". Available: ${Object.keys(OUTPUT_PRESETS).join(', ')}`
+            });
+        }
+
+        const questionTemplate = await resolveQuestionTemplate({
+            templateId: questionTemplateId,
+            dbname,
+            subjectName,
+            language: narrationLanguage
+        });
+        if (questionTemplateId && questionTemplateId !== BUILT_IN_QUESTION_TEMPLATE && !questionTemplate) {
+            return res.status(400).json({
+                success: false,
+                error: `Question template "${questionTemplateId}" not found for ${dbname}/${subjectName || '*'}`
+            });
+        }
+
+        const rootNodeId = lessonId || unitId || null;
+        console.log("📦 BATCH GENERATE:", { dbname, subjectName, rootNodeId, force });
+
+        const collection = getDB(dbname).collection(subjectName);
+        const documents = await collection.find({}).toArray();
+
+        // Collect leaves with the document they live in
+        const leaves = [];
+        for (const document of documents) {
+            if (rootNodeId) {
+                const root = findBatchRoot(document, rootNodeId);
+                if (!root) continue;
+
+                collectBatchLeaves(root.node, root.ancestors, root.parentId, [])
+                    .forEach(leaf => leaves.push({ ...leaf, document }));
+                break;
+            }
+
+            collectBatchLeaves(document, [], null, [])
+                .forEach(leaf => leaves.push({ ...leaf, document }));
+        }
+
+        if (rootNodeId && leaves.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: `Lesson or unit ${rootNodeId} not found in collection ${subjectName}`
+            });
+        }
+
+        const skipped = { noDescription: 0, hasVideo: 0 };
+        const selected = leaves.filter(({ node }) => {
+            const text = node.customDescription || node.description;
+            if (!text || !String(text).trim()) {
+                skipped.noDescription++;
+                return false;
+            }
+            if (node.aiVideoUrl && !force) {
+                skipped.hasVideo++;
+                return false;
+            }
+            return true;
+        });
+
+        if (selected.length > MAX_BATCH_ITEMS) {
+            return res.status(400).json({
+                success: false,
+                error: `Batch has ${selected.length} items, the limit is ${MAX_BATCH_ITEMS}. Narrow it down with lessonId or unitId.`
+            });
+        }
+
+        if (selected.length === 0) {
+            return res.json({
+                success: true,
+                batch_id: null,
+                total: 0,
+                skipped: skipped,
+                message: "Nothing to generate"
+            });
+        }
+
+        const batchId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const items = [];
+
+        // "creating" until every job is queued - each item is pushed as soon as its job exists,
+        // so a failure partway through still leaves the queued jobs on the batch
+        await getBatchesCollection().insertOne({
+            batchId: batchId,
+            dbname: dbname,
+            subjectName: subjectName,
+            rootNodeId: rootNodeId,
+            force: force,
+            presenter: presenter_id,
+            language: narrationLanguage,
+            outputPresets: outputPresets,
+            priority: normalizeJobPriority(priority),
+            total: selected.length,
+            skipped: skipped,
+            items: [],
+            status: 'creating',
+            createdAt: new Date()
+        });
+
+        try {
+            for (const { node, ancestors, parentId, document } of selected) {
+                const name = getNodeName(node);
+                const lessonName = ancestors.length > 0 ? ancestors.join('/') : name;
+
+                const { jobId } = await createVideoJob({
+                    subtopic: name,
+                    description: String(node.customDescription || node.description),
+                    questions: [],
+                    presenter_id,
+                    subtopicId: getNodeId(node),
+                    parentId: parentId,
+                    rootId: getNodeId(document),
+                    dbname,
+                    subjectName,
+                    standard: standard || document.standard,
+                    lessonName: lessonName,
+                    topicName: name,
+                    logoSize,
+                    provider,
+                    language: narrationLanguage,
+                    questionTemplate,
+                    includeAnswers: resolveIncludeAnswers(includeAnswers, questionTemplate),
+                    outputPresets,
+                    createdBy
+                }, { priority, batchId });
+
+                const item = { jobId, subtopicId: getNodeId(node), subtopic: name, lessonName };
+                items.push(item);
+                await getBatchesCollection().updateOne({ batchId: batchId }, { $push: { items: item } });
+            }
+        } catch (error) {
+            await getBatchesCollection().updateOne({ batchId: batchId }, {
+                $set: { status: 'creation_failed', creationError: error.message }
+            });
+            throw error;
+        }
+
+        await getBatchesCollection().updateOne({ batchId: batchId }, { $set: { status: 'created' } });
+        console.log(`📦 Batch ${batchId} queued ${items.length} job(s)`);
+
+        res.json({
+            success: true,
+            batch_id: batchId,
+            total: items.length,
+            skipped: skipped,
+            items: items,
+            check_status: `GET /api/batches/${batchId}`
+        });
+    } catch (error) {
+        console.error("❌ Batch generation failed:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to start batch generation: " + error.message
+        });
+    }
+});
+
+// ✅ Overall progress and per-item status of a batch
+app.get("/api/batches/:batchId", async (req, res) => {
+    try {
+        const { batchId } = req.params;
+        const batch = await getBatchesCollection().findOne({ batchId: batchId }, { projection: { _id: 0 } });
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                error: "Batch not found",
+                batchId: batchId
+            });
+        }
+
+        const jobs = await getJobsCollection()
+            .find({ batchId: batchId }, {
+                projection: {
+                    _id: 0, jobId: 1, status: 1, progress: 1, videoUrl: 1, error: 1,
+                    startedAt: 1, completedAt: 1, failedAt: 1, cancelledAt: 1
+                }
+            })
+            .toArray();
+        const jobsById = new Map(jobs.map(job => [job.jobId, job]));
+
+        const counts = { queued: 0, processing: 0, completed: 0, failed: 0, cancelled: 0, expired: 0 };
+        const items = batch.items.map(item => {
+            // Finished jobs are removed by the TTL index after the retention period
+            const job = jobsById.get(item.jobId) || { status: 'expired' };
+            counts[job.status] = (counts[job.status] || 0) + 1;
+            return { ...item, ...job };
+        });
+
+        // While jobs are still being created the batch is measured against everything selected
+        const creating = batch.status === 'creating';
+        const expected = creating ? batch.total : items.length;
+        const finished = items.length - counts.queued - counts.processing;
+        const status = creating ? 'creating'
+            : finished < items.length ? 'processing'
+            : (counts.failed > 0 || counts.cancelled > 0 || batch.status === 'creation_failed') ? 'completed_with_errors'
+            : 'completed';
+
+        res.json({
+            success: true,
+            ...batch,
+            items: items,
+            status: status,
+            counts: counts,
+            progress_percent: expected > 0 ? Math.round((finished / expected) * 100) : 100
+        });
+    } catch (error) {
+        console.error("❌ Batch status check failed:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to check batch status"
+        });
+    }
+});
+
+// ✅ NEW: Upload logo to D-ID endpoint
+app.post("/api/upload-logo-to-did", async (req, res) => {
+    try {
+        // Using multer for file upload handling
+        const multer = require('multer');
+        const upload = multer({ dest: 'uploads/' });
+
+        // Handle file upload
+        upload.single('logo')(req, res, async (err) => {
+            if (err) {
+                console.error("❌ Multer error:", err);
+                return res.status(400).json({
+                    success: false,
+                    error: "File upload error: " + err.message
+                });
+            }
+
+            const { top = "0", left = "-120" } = req.body;
+
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    error: "No logo file provided"
+                });
+            }
+
+            console.log("📁 Received logo file:", req.file.originalname);
+            console.log("📍 Position:", { top, left });
+
+            try {
+                // Upload to D-ID
+                const uploadResult = await uploadLogoToDID(req.file.path, top, left);
+
+                // Clean up temporary file
+                fs.unlink(req.file.path, (unlinkErr) => {
+                    if (unlinkErr) console.warn("⚠️ Failed to delete temp file:", unlinkErr);
+                });
+
+                if (uploadResult.success) {
+                    res.json({
+                        success: true,
+                        message: "Logo uploaded successfully to D-ID",
+                        data: uploadResult.data,
+                        position: { top, left }
+                    });
+                } else {
+                    res.status(uploadResult.status || 500).json({
+                        success: false,
+                        error: uploadResult.error,
+                        message: uploadResult.message
+                    });
+                }
+
+            } catch (uploadError) {
+                // Clean up temporary file
+                fs.unlink(req.file.path, (unlinkErr) => {
+                    if (unlinkErr) console.warn("⚠️ Failed to delete temp file:", unlinkErr);
+                });
+
+                console.error("❌ Upload error:", uploadError);
+                res.status(500).json({
+                    success: false,
+                    error: uploadError.message
+                });
+            }
+        });
+
+    } catch (error) {
+        console.error("❌ Logo upload endpoint error:", error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ✅ Get current logo settings
+app.get("/api/get-did-logo", async (req, res) => {
+    try {
+        console.log("🖼️ Fetching current D-ID logo settings...");
+
+        const response = await axios.get(
+            `${DID_API_URL}/settings/logo`,
+            {
+                headers: {
+                    'Authorization': DID_API_KEY,
+                    'Accept': 'application/json'
+                },
+                timeout: 10000
+            }
+        );
+
+        console.log("✅ Logo settings retrieved");
+        res.json({
+            success: true,
+            data: response.data
+        });
+
+    } catch (error) {
+        console.error("❌ Failed to get logo settings:");
+
+        if (error.response) {
+            console.error("   Status:", error.response.status);
+            console.error("   Data:", error.response.data);
+
+            res.status(error.response.status).json({
+                success: false,
+                error: error.response.data,
+                status: error.response.status
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+});
+
+// ✅ Delete current logo
+app.delete("/api/delete-did-logo", async (req, res) => {
+    try {
+        console.log("🗑️ Deleting D-ID logo...");
+
+        const response = await axios.delete(
+            `${DID_API_URL}/settings/logo`,
+            {
+                headers: {
+                    'Authorization': DID_API_KEY,
+                    'Accept': 'application/json'
+                },
+                timeout: 10000
+            }
+        );
+
+        console.log("✅ Logo deleted successfully");
+        res.json({
+            success: true,
+            message: "Logo deleted successfully",
+            data: response.data
+        });
 
-            if (result.modifiedCount > 0) {
-                console.log(`✅ Updated in nested ${field}._id array with string ID`);
-                return {
-                    success: true,
-                    message: `Video URL and custom description saved in ${field}._id array`,
-                    collection: subjectName,
-                    updateMethod: `nested_${field}_string_id`,
-                    matchedCount: result.matchedCount,
-                    modifiedCount: result.modifiedCount,
-                    customDescriptionSaved: !!customDescription
-                };
+    } catch (error) {
+        console.error("❌ Failed to delete logo:");
+
+        if (error.response) {
+            console.error("   Status:", error.response.status);
+            console.error("   Data:", error.response.data);
+
+            res.status(error.response.status).json({
+                success: false,
+                error: error.response.data,
+                status: error.response.status
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+});
+
+// Create uploads directory on startup
+function ensureUploadsDirectory() {
+    const uploadsDir = path.join(__dirname, 'uploads');
+    if (!fs.existsSync(uploadsDir)) {
+        fs.mkdirSync(uploadsDir, { recursive: true });
+        console.log("📁 Created uploads directory:", uploadsDir);
+    } else {
+        console.log("✅ Uploads directory exists:", uploadsDir);
+    }
+}
+// Call it with your other startup functions
+ensureUploadsDirectory();
+
+// ✅ Poll a clip until the provider finishes it and return its result URL.
+// Returns null if the job was cancelled meanwhile - the caller finishes the cancellation.
+async function waitForClip(jobId, clipId, provider, progressPrefix = '') {
+    const MAX_POLLS = 120;
+    let pollCount = 0;
+    let pollRequests = 0;
+
+    // Poll for completion
+    while (pollCount < MAX_POLLS) {
+        await new Promise(r => setTimeout(r, 3000));
+        pollCount++;
+
+        if (isJobCancelled(jobId)) {
+            return null;
+        }
+
+        // Transient failures are retried; fatal ones (or exhausted retries) fail the job
+        const poll = await withRetry(() => provider.getClip(clipId), {
+            label: `${provider.label} poll ${pollCount}`,
+            onAttempt: () => { pollRequests++; }
+        });
+
+        console.log(`📊 ${progressPrefix}Poll ${pollCount}/${MAX_POLLS}:`, poll.rawStatus);
+
+        // Update job status with progress
+        await updateJob(jobId, {
+            progress: `${progressPrefix}Processing... (${pollCount}/${MAX_POLLS})`,
+            currentStatus: poll.rawStatus,
+            'attempts.poll': pollRequests
+        });
+
+        if (poll.status === "done") {
+            const videoUrl = await provider.getResultUrl(poll);
+            if (!videoUrl) {
+                throw new Error(`${provider.label} reported the clip as done but returned no result URL`);
             }
+            console.log("✅ Video generation completed:", videoUrl);
+            return videoUrl;
+        }
 
-            // Try with id field
-            const result2 = await collection.updateOne(
-                { [`${field}.id`]: subtopicId },
-                { $set: nestedUpdate }
-            );
+        if (poll.status === "error") {
+            throw new Error("Clip generation failed: " + (poll.error || "Unknown error"));
+        }
+    }
 
-            if (result2.modifiedCount > 0) {
-                console.log(`✅ Updated in nested ${field}.id array with string ID`);
-                return {
-                    success: true,
-                    message: `Video URL and custom description saved in ${field}.id array`,
-                    collection: subjectName,
-                    updateMethod: `nested_${field}_string_field`,
-                    matchedCount: result2.matchedCount,
-                    modifiedCount: result2.modifiedCount,
-                    customDescriptionSaved: !!customDescription
-                };
+    throw new Error(`Video generation timeout after ${pollCount} polls`);
+}
+
+// ✅ Upload the finished video(s) to S3 and save them on the subtopic, then complete the job.
+// Pass `videoFile` (see stitchVideos) instead of downloading `videoUrl`, or `renditions`
+// ([{ preset, videoUrl | videoFile }]) when several output presets were rendered.
+// The first rendition is the subtopic's aiVideoUrl; all of them go into aiVideoRenditions.
+async function saveJobVideo(jobId, {
+    videoUrl = null,
+    videoFile = null,
+    renditions = null,
+    outputPresets = DEFAULT_OUTPUT_PRESETS,
+    clipIds = [],
+    providerName = DEFAULT_VIDEO_PROVIDER,
+    language = DEFAULT_LANGUAGE,
+    audio = null,
+    // Recorded on the subtopic's video version
+    scriptHash = null,
+    createdBy = null,
+    subtopic,
+    questionCount,
+    presenter_id,
+    subtopicId,
+    dbname,
+    subjectName,
+    standard,
+    lessonName,
+    topicName
+}) {
+    console.log("☁️ Starting automatic S3 upload with path components...");
+
+    await updateJob(jobId, {
+        progress: 'Uploading to AWS S3...'
+    });
+
+    const files = renditions || [{ preset: outputPresets[0], videoUrl, videoFile }];
+    const uploaded = [];
+    // Set once the subtopic points at the uploads - they are kept from then on
+    let saved = false;
+
+    // Cancelled before the save - remove the objects and leave aiVideoUrl untouched
+    const discardUploads = async () => {
+        for (const upload of uploaded) {
+            await deleteS3Object(upload.pathInfo.fullPath);
+        }
+        await finishCancelledJob(jobId, clipIds, providerName);
+    };
+
+    try {
+        // Generate unique filename for S3
+        const timestamp = Date.now();
+        const safeSubtopicName = subtopic.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 50);
+
+        // ✅ CRITICAL FIX: Prepare path components for S3
+        const pathComponents = {
+            standard: standard || 'no_standard',
+            subject: subjectName,
+            lesson: lessonName || subtopic,
+            topic: topicName || subtopic
+        };
+
+        console.log("📁 S3 Path Components:", pathComponents);
+
+        for (const file of files) {
+            const output = getOutputPreset(file.preset);
+            const filename = getOutputFilename(`video_${safeSubtopicName}_${timestamp}`, file.preset);
+
+            console.log(`📄 Uploading ${output.label} to S3 with filename:`, filename);
+            console.log("📍 Full S3 Path will be:",
+                `subtopics/aivideospath/${pathComponents.standard}/${pathComponents.subject}/${pathComponents.lesson}/${pathComponents.topic}/${filename}`);
+
+            if (files.length > 1) {
+                await updateJob(jobId, {
+                    progress: `Uploading ${output.label} to AWS S3...`
+                });
+            }
+
+            // ✅ CRITICAL FIX: Pass path components to uploadToS3
+            const uploadLabel = files.length > 1 ? `${output.label} to ${storage.label}` : `to ${storage.label}`;
+            const uploadResult = await uploadToS3(file.videoUrl, filename, pathComponents, {
+                language,
+                videoFile: file.videoFile,
+                contentType: output.contentType,
+                onAttempt: (stage, attempt) => updateJob(jobId, { [`attempts.${stage}`]: attempt }),
+                onProgress: (bytes, totalBytes) => updateJob(jobId, {
+                    progress: totalBytes
+                        ? `Uploading ${uploadLabel}... ${Math.min(100, Math.round(bytes / totalBytes * 100))}%`
+                        : `Uploading ${uploadLabel}... ${(bytes / (1024 * 1024)).toFixed(1)} MB`,
+                    uploadProgress: { bytes: bytes, totalBytes: totalBytes }
+                })
+            });
+            uploaded.push({ output, ...uploadResult });
+
+            console.log("✅ S3 Upload successful!");
+            console.log("📁 S3 Console:", uploadResult.pathInfo.consoleUrl);
+            console.log("📍 Full S3 Path:", uploadResult.pathInfo.fullPath);
+            console.log("🔗 S3 URL:", uploadResult.s3Url);
+
+            if (isJobCancelled(jobId)) {
+                await discardUploads();
+                return;
+            }
+        }
+
+        const s3Url = uploaded[0].s3Url;
+        const pathInfo = uploaded[0].pathInfo;
+        const videoRenditions = uploaded.map(({ output, s3Url, pathInfo }) => ({
+            preset: output.name,
+            url: s3Url,
+            s3Path: pathInfo.fullPath,
+            width: output.width,
+            height: output.height,
+            format: output.format,
+            captions: output.captions,
+            watermark: output.watermark
+        }));
+
+        // ✅ AUTOMATICALLY SAVE S3 URL TO DATABASE
+        if (s3Url && subtopicId) {
+            console.log("💾 Automatically saving S3 URL to database...");
+
+            await updateJob(jobId, {
+                progress: 'Saving to database...'
+            });
+
+            // Last point a cancel can still take effect - past here the subtopic points at the video
+            if (isJobCancelled(jobId)) {
+                await discardUploads();
+                return;
+            }
+
+            // Save to database
+            const dbSaveResult = await saveVideoVersion(s3Url, subtopicId, dbname, subjectName, {
+                extraFields: {
+                    aiVideoRenditions: videoRenditions,
+                    ...(audio ? { sourceAudioUrl: audio.s3Url, sourceAudioS3Path: audio.s3Key } : {})
+                },
+                source: 'job',
+                jobId: jobId,
+                presenterId: presenter_id,
+                scriptHash: scriptHash,
+                createdBy: createdBy
+            });
+            saved = dbSaveResult.success;
+
+            console.log("📊 Database save result:", dbSaveResult);
+
+            // ✅ FINAL: Update job status with path info
+            await updateJob(jobId, {
+                status: 'completed',
+                subtopic: subtopic,
+                videoUrl: s3Url,
+                renditions: videoRenditions,
+                completedAt: new Date(),
+                questions: questionCount,
+                presenter: presenter_id,
+                storedIn: storage.storedIn,
+                s3PathInfo: pathInfo,
+                databaseUpdated: dbSaveResult.success,
+                videoVersion: dbSaveResult.videoVersion || null,
+                updateMethod: dbSaveResult.updateMethod,
+                collection: dbSaveResult.collection,
+                s3Url: s3Url,
+                databaseResult: dbSaveResult
+            });
+
+        } else {
+            console.log("⚠️ No subtopicId provided, cannot save to database");
+            await updateJob(jobId, {
+                status: 'completed',
+                subtopic: subtopic,
+                videoUrl: s3Url,
+                renditions: videoRenditions,
+                completedAt: new Date(),
+                questions: questionCount,
+                presenter: presenter_id,
+                storedIn: storage.storedIn,
+                s3PathInfo: pathInfo,
+                databaseUpdated: false,
+                note: 'No subtopicId provided'
+            });
+        }
+    } catch (uploadError) {
+        console.error("❌ S3 upload failed:", uploadError);
+
+        // A later preset failed - nothing references the ones already uploaded, so remove them
+        if (!saved) {
+            for (const upload of uploaded) {
+                await deleteS3Object(upload.pathInfo.fullPath);
+            }
+        }
+
+        // Update job status with error
+        await updateJob(jobId, {
+            status: 'failed',
+            subtopic: subtopic,
+            error: uploadError.message,
+            errorClass: uploadError.retryable ? 'retryable' : 'fatal',
+            failedAt: new Date()
+        });
+    }
+}
+
+// ✅ Poll a single clip until it finishes, then upload to S3 and save to the database.
+// Shared by processVideoJob and the startup resume of in-flight jobs.
+async function pollClipAndSave(jobId, clipId, options) {
+    const provider = getVideoProvider(options.providerName);
+    let videoUrl;
+    try {
+        videoUrl = await waitForClip(jobId, clipId, provider);
+    } catch (error) {
+        // The job fails here - don't leave the clip rendering (and billing) at the provider
+        await provider.cancelClip(clipId);
+        throw error;
+    }
+
+    // ✅ AUTOMATICALLY UPLOAD TO S3 WITH PATH COMPONENTS
+    if (!videoUrl || isJobCancelled(jobId)) {
+        await finishCancelledJob(jobId, clipId, provider.name);
+        return;
+    }
+
+    await saveJobVideo(jobId, { ...options, providerName: provider.name, videoUrl, clipIds: [clipId] });
+}
+
+// ✅ Narration scripts are always sent as SSML so pauses are real pauses, not read aloud.
+// scriptFormat "text": everything is escaped, legacy <break time="Ns"/> tags become real breaks
+//                      and any other tag is dropped (as before).
+// scriptFormat "ssml": the script is validated against the tags Microsoft voices support and
+//                      passed through; the provider wraps it in its own <speak>/<voice> root.
+const SCRIPT_FORMATS = ['text', 'ssml'];
+// Longest single pause we accept
+const SSML_MAX_BREAK_MS = 20000;
+const QUESTION_PAUSE_SECONDS = 5;
+
+const SSML_KEYWORD = (...words) => new RegExp(`^(${words.join('|')})$`);
+const SSML_PERCENT = /^[+-]?\d+(\.\d+)?%$/;
+const SSML_TAGS = {
+    break: {
+        selfClosing: true,
+        attributes: {
+            time: /^\d+(\.\d+)?(ms|s)$/,
+            strength: SSML_KEYWORD('none', 'x-weak', 'weak', 'medium', 'strong', 'x-strong')
+        }
+    },
+    emphasis: {
+        attributes: { level: SSML_KEYWORD('reduced', 'none', 'moderate', 'strong') }
+    },
+    prosody: {
+        attributes: {
+            rate: value => SSML_KEYWORD('x-slow', 'slow', 'medium', 'fast', 'x-fast', 'default').test(value)
+                || SSML_PERCENT.test(value) || /^\d+(\.\d+)?$/.test(value),
+            pitch: value => SSML_KEYWORD('x-low', 'low', 'medium', 'high', 'x-high', 'default').test(value)
+                || SSML_PERCENT.test(value) || /^[+-]?\d+(\.\d+)?(Hz|st)$/.test(value),
+            volume: value => SSML_KEYWORD('silent', 'x-soft', 'soft', 'medium', 'loud', 'x-loud', 'default').test(value)
+                || SSML_PERCENT.test(value) || /^[+-]?\d+(\.\d+)?$/.test(value)
+        }
+    },
+    'say-as': {
+        required: ['interpret-as'],
+        attributes: {
+            'interpret-as': SSML_KEYWORD('characters', 'spell-out', 'cardinal', 'number', 'ordinal', 'digits',
+                'fraction', 'unit', 'date', 'time', 'telephone', 'address', 'name', 'currency'),
+            format: /^[a-z]+$/,
+            detail: /^\d+$/
+        }
+    }
+};
+
+const SSML_TAG_PATTERN = /^<(\/?)([a-zA-Z][\w:-]*)((?:\s+[\w:-]+\s*=\s*"[^"<>]*")*)\s*(\/?)>/;
+const SSML_ATTRIBUTE_PATTERN = /([\w:-]+)\s*=\s*"([^"]*)"/g;
+
+function escapeSsmlText(text) {
+    return String(text)
+        .replace(/&(?!(amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function ssmlBreak(seconds) {
+    const ms = Math.min(Math.round(Number(seconds) * 1000), SSML_MAX_BREAK_MS);
+    return `<break time="${ms}ms"/>`;
+}
+
+function parseSsmlBreakMs(time) {
+    const value = parseFloat(time);
+    return time.endsWith('ms') ? value : value * 1000;
+}
+
+// Validates an SSML fragment and returns it normalised; throws with a readable message
+function normalizeSsml(input) {
+    let source = String(input).trim();
+    const speak = source.match(/^<speak\b[^>]*>([\s\S]*)<\/speak>$/);
+    if (speak) {
+        source = speak[1];
+    }
+
+    let output = '';
+    const openTags = [];
+    let index = 0;
+
+    while (index < source.length) {
+        const next = source.indexOf('<', index);
+        const textEnd = next === -1 ? source.length : next;
+        output += escapeSsmlText(source.slice(index, textEnd));
+        if (next === -1) break;
+
+        const match = source.slice(next).match(SSML_TAG_PATTERN);
+        if (!match) {
+            throw new Error(`Malformed SSML tag at character ${next}`);
+        }
+
+        const [raw, closing, name, attributeText, selfClosing] = match;
+        const spec = SSML_TAGS[name];
+        if (!spec) {
+            throw new Error(`Unsupported SSML tag <${name}>`);
+        }
+
+        if (closing) {
+            if (openTags.pop() !== name) {
+                throw new Error(`Unexpected </${name}>`);
+            }
+            output += `</${name}>`;
+        } else {
+            const attributes = [];
+            for (const [, attribute, value] of attributeText.matchAll(SSML_ATTRIBUTE_PATTERN)) {
+                const rule = spec.attributes[attribute];
+                if (!rule) {
+                    throw new Error(`Unsupported attribute "${attribute}" on <${name}>`);
+                }
+                const valid = typeof rule === 'function' ? rule(value) : rule.test(value);
+                if (!valid) {
+                    throw new Error(`Invalid value "${value}" for ${attribute} on <${name}>`);
+                }
+                if (name === 'break' && attribute === 'time' && parseSsmlBreakMs(value) > SSML_MAX_BREAK_MS) {
+                    throw new Error(`<break> is limited to ${SSML_MAX_BREAK_MS / 1000}s`);
+                }
+                attributes.push(` ${attribute}="${value}"`);
+            }
+
+            for (const attribute of spec.required || []) {
+                if (!attributes.some(a => a.startsWith(` ${attribute}=`))) {
+                    throw new Error(`<${name}> is missing the ${attribute} attribute`);
+                }
+            }
+
+            if (spec.selfClosing) {
+                if (!selfClosing) {
+                    throw new Error(`<${name}> must be self-closing`);
+                }
+                output += `<${name}${attributes.join('')}/>`;
+            } else {
+                if (selfClosing) {
+                    throw new Error(`<${name}> cannot be self-closing`);
+                }
+                openTags.push(name);
+                output += `<${name}${attributes.join('')}>`;
+            }
+        }
+
+        index = next + raw.length;
+    }
+
+    if (openTags.length > 0) {
+        throw new Error(`Unclosed SSML tag <${openTags[openTags.length - 1]}>`);
+    }
+
+    return output;
+}
+
+// Plain text -> SSML: keep legacy break tags as real pauses, escape everything else
+function plainTextToSsml(text) {
+    const parts = String(text).split(/<break time="(\d+(?:\.\d+)?)s"\s*\/>/);
+    return parts.map((part, i) => i % 2 === 1
+        ? ssmlBreak(part)
+        : escapeSsmlText(part.replace(/<[^>]*>/g, ''))
+    ).join('');
+}
+
+// Fills {{placeholders}} in a template line. The line itself is escaped as text;
+// values are escaped too, except `pause`, which is already SSML.
+function renderTemplateLine(line, values) {
+    return escapeSsmlText(line || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+        if (!(key in values)) return '';
+        return key === 'pause' ? values.pause : escapeSsmlText(values[key]);
+    }).trim();
+}
+
+// ✅ Lesson narration plus the spoken quiz, as one SSML fragment.
+// `questionTemplate` is a stored template (see QUESTION_TEMPLATE_FIELDS); missing fields fall
+// back to the built-in template for the language. `includeAnswers: false` leaves answers out.
+function buildNarrationScript(description, questions = [], {
+    scriptFormat = 'text',
+    language = DEFAULT_LANGUAGE,
+    questionTemplate = null,
+    includeAnswers = true
+} = {}) {
+    let script = scriptFormat === 'ssml' ? normalizeSsml(description) : plainTextToSsml(description);
+
+    // Add interactive questions to script
+    if (questions.length > 0) {
+        const template = { ...NARRATION_LANGUAGES[language].questionTemplate, ...(questionTemplate || {}) };
+        const encouragements = template.encouragements || [];
+        const pause = ssmlBreak(template.pauseSeconds || QUESTION_PAUSE_SECONDS);
+        const intro = includeAnswers ? template.intro : (template.introNoAnswers || template.intro);
+
+        script += `\n\n${renderTemplateLine(intro, {})}\n\n`;
+
+        questions.forEach((q, index) => {
+            const values = {
+                number: index + 1,
+                total: questions.length,
+                question: q.question,
+                answer: q.answer,
+                pause: pause,
+                encouragement: encouragements.length > 0 ? encouragements[index % encouragements.length] : ''
+            };
+
+            script += `${renderTemplateLine(template.question, values)} `;
+            if (includeAnswers) {
+                script += `${renderTemplateLine(template.answer, values)} `;
             }
+            if (index < questions.length - 1) {
+                script += `${renderTemplateLine(template.between, values)} `;
+            }
+        });
+
+        script += renderTemplateLine(template.closing, {
+            total: questions.length,
+            encouragement: encouragements[questions.length % (encouragements.length || 1)] || ''
+        });
+    }
+
+    return script;
+}
+
+// ✅ Question templates - named wording for the spoken quiz, stored per tenant (dbname) and
+// optionally per subject in the `questionTemplates` collection. Text fields take placeholders:
+//   {{number}} {{total}} {{question}} {{answer}} {{pause}} {{encouragement}}
+// {{pause}} is a real pause of `pauseSeconds`; {{encouragement}} cycles through `encouragements`.
+const QUESTION_TEMPLATE_FIELDS = ['intro', 'introNoAnswers', 'question', 'answer', 'between', 'closing'];
+const QUESTION_TEMPLATE_MAX_LENGTH = 1000;
+// Means "the built-in wording for the job's language"
+const BUILT_IN_QUESTION_TEMPLATE = 'default';
+
+function getQuestionTemplatesCollection() {
+    return client.db(JOBS_DB_NAME).collection('questionTemplates');
+}
+
+// Most specific first: this subject of the tenant, the whole tenant, then every tenant
+function getQuestionTemplateScopes(dbname, subjectName) {
+    return [
+        { dbname: dbname, subjectName: subjectName || null },
+        { dbname: dbname, subjectName: null },
+        { dbname: null, subjectName: null }
+    ];
+}
+
+// The named template if it is visible from this tenant/subject, else the scope's default
+// template for the language. null means "use the built-in wording".
+async function resolveQuestionTemplate({ templateId, dbname, subjectName, language }) {
+    if (templateId === BUILT_IN_QUESTION_TEMPLATE) {
+        return null;
+    }
+
+    const scopes = getQuestionTemplateScopes(dbname, subjectName);
+    const filter = templateId ? { templateId: templateId } : { isDefault: true, language: language };
+    const templates = await getQuestionTemplatesCollection()
+        .find({ ...filter, $or: scopes }, { projection: { _id: 0 } })
+        .toArray();
+
+    for (const scope of scopes) {
+        const match = templates.find(t => (t.dbname || null) === scope.dbname && (t.subjectName || null) === scope.subjectName);
+        if (match) return match;
+    }
+    return null;
+}
+
+// The request wins, then the template's setting, then "read the answers out"
+function resolveIncludeAnswers(requested, template) {
+    if (requested !== undefined && requested !== null) {
+        return requested !== false && requested !== "false";
+    }
+    return template && template.includeAnswers === false ? false : true;
+}
+
+// Only what the script builder needs - snapshotted into the job so re-runs say the same thing
+function toJobQuestionTemplate(template) {
+    if (!template) return null;
+
+    const snapshot = { templateId: template.templateId };
+    for (const field of [...QUESTION_TEMPLATE_FIELDS, 'encouragements', 'pauseSeconds']) {
+        if (template[field] !== undefined && template[field] !== null) {
+            snapshot[field] = template[field];
         }
+    }
+    return snapshot;
+}
 
-        // ✅ NEW: Try deep nested update with String ID
-        console.log("🔄 Trying deep nested String ID update...");
-        const allDocs2 = await collection.find({}).toArray();
+// Picks the editable fields out of a request body; returns { fields } or { error }
+function parseQuestionTemplateInput(body, { partial = false } = {}) {
+    const fields = {};
 
-        for (const document of allDocs2) {
-            const deepUpdateResult = await updateNestedArrayWithStringId(
-                collection,
-                document,
-                subtopicId,
-                s3Url,
-                customDescription
-            );
+    if (body.name !== undefined) fields.name = String(body.name).trim();
+    if (body.dbname !== undefined) fields.dbname = body.dbname || null;
+    if (body.subjectName !== undefined) fields.subjectName = body.subjectName || null;
+    if (body.isDefault !== undefined) fields.isDefault = body.isDefault === true || body.isDefault === "true";
+    if (body.includeAnswers !== undefined) fields.includeAnswers = body.includeAnswers !== false && body.includeAnswers !== "false";
 
-            if (deepUpdateResult.success) {
-                console.log("✅ Deep nested String ID update successful");
-                return {
-                    ...deepUpdateResult,
-                    customDescriptionSaved: !!customDescription
-                };
-            }
+    if (body.language !== undefined) {
+        fields.language = normalizeLanguage(body.language);
+        if (!fields.language) {
+            return { error: `Unsupported language. Supported: ${Object.keys(NARRATION_LANGUAGES).join(', ')}` };
         }
+    }
 
-        // ✅ STEP 3: Recursive search and update
-        console.log("🔄 Step 3: Trying recursive search and update...");
-        const allDocuments = await collection.find({}).toArray();
+    for (const field of QUESTION_TEMPLATE_FIELDS) {
+        if (body[field] === undefined) continue;
+        if (body[field] !== null && typeof body[field] !== 'string') {
+            return { error: `${field} must be a string` };
+        }
+        if (body[field] && body[field].length > QUESTION_TEMPLATE_MAX_LENGTH) {
+            return { error: `${field} is longer than ${QUESTION_TEMPLATE_MAX_LENGTH} characters` };
+        }
+        fields[field] = body[field] || null;
+    }
 
-        for (const document of allDocuments) {
-            const updated = await updateNestedStructureRecursive(
-                collection,
-                document,
-                subtopicId,
-                baseUpdateData
-            );
+    if (fields.question && !fields.question.includes('{{question}}')) {
+        return { error: "question must contain the {{question}} placeholder" };
+    }
+    if (fields.answer && !fields.answer.includes('{{answer}}')) {
+        return { error: "answer must contain the {{answer}} placeholder" };
+    }
 
-            if (updated.success) {
-                return {
-                    ...updated,
-                    customDescriptionSaved: !!customDescription
-                };
-            }
+    if (body.encouragements !== undefined) {
+        if (!Array.isArray(body.encouragements) || body.encouragements.some(line => typeof line !== 'string')) {
+            return { error: "encouragements must be an array of strings" };
         }
+        fields.encouragements = body.encouragements.map(line => line.trim()).filter(Boolean);
+    }
 
-        // ✅ STEP 4: Try multi-level nested array update
-        console.log("🔄 Step 4: Trying multi-level nested array update...");
-        const nestedFields = ['units', 'subtopics', 'children'];
+    if (body.pauseSeconds !== undefined) {
+        const pauseSeconds = Number(body.pauseSeconds);
+        if (!(pauseSeconds > 0) || pauseSeconds * 1000 > SSML_MAX_BREAK_MS) {
+            return { error: `pauseSeconds must be between 0 and ${SSML_MAX_BREAK_MS / 1000}` };
+        }
+        fields.pauseSeconds = pauseSeconds;
+    }
 
-        for (const field of nestedFields) {
-            const multiLevelResult = await updateMultiLevelNestedArray(
-                collection,
-                field,
-                subtopicId,
-                s3Url
-            );
+    if (!partial && !fields.name) {
+        return { error: "name is required" };
+    } else if (partial && fields.name === "") {
+        return { error: "name cannot be empty" };
+    }
 
-            if (multiLevelResult.success) {
-                console.log(`✅ Multi-level update in ${field} successful`);
-                return {
-                    ...multiLevelResult,
-                    customDescriptionSaved: !!customDescription
-                };
-            }
+    return { fields };
+}
+
+// Only one default template per scope and language
+async function clearOtherDefaultTemplates(template) {
+    await getQuestionTemplatesCollection().updateMany(
+        {
+            templateId: { $ne: template.templateId },
+            isDefault: true,
+            dbname: template.dbname || null,
+            subjectName: template.subjectName || null,
+            language: template.language
+        },
+        { $set: { isDefault: false, updatedAt: new Date() } }
+    );
+}
+
+// ✅ Question template CRUD - `?dbname=&subjectName=` lists what a job there can pick
+app.get("/api/question-templates", async (req, res) => {
+    try {
+        const { dbname, subjectName, language } = req.query;
+        const filter = {};
+        if (dbname) filter.$or = getQuestionTemplateScopes(dbname, subjectName);
+        if (language) filter.language = normalizeLanguage(language);
+
+        const templates = await getQuestionTemplatesCollection()
+            .find(filter, { projection: { _id: 0 } })
+            .sort({ name: 1 })
+            .toArray();
+
+        res.json({
+            success: true,
+            templates: templates,
+            builtIn: BUILT_IN_QUESTION_TEMPLATE
+        });
+    } catch (error) {
+        console.error("❌ Failed to list question templates:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get("/api/question-templates/:templateId", async (req, res) => {
+    try {
+        const template = await getQuestionTemplatesCollection()
+            .findOne({ templateId: req.params.templateId }, { projection: { _id: 0 } });
+
+        if (!template) {
+            return res.status(404).json({ success: false, error: "Question template not found" });
         }
+        res.json({ success: true, template: template });
+    } catch (error) {
+        console.error("❌ Failed to get question template:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        // If nothing worked
-        console.log("❌ All update strategies failed");
-        return {
-            success: false,
-            message: "Subtopic not found in database",
-            collection: subjectName,
-            updateMethod: "not_found",
-            customDescriptionSaved: false,
-            debug: {
-                subtopicId: subtopicId,
-                isObjectId: ObjectId.isValid(subtopicId),
-                customDescriptionProvided: !!customDescription,
-                customDescriptionLength: customDescription?.length || 0
-            }
+app.post("/api/question-templates", async (req, res) => {
+    try {
+        const { templateId } = req.body;
+        if (!templateId || !/^[\w-]+$/.test(templateId)) {
+            return res.status(400).json({ success: false, error: "templateId is required (letters, digits, - and _)" });
+        }
+        if (templateId === BUILT_IN_QUESTION_TEMPLATE) {
+            return res.status(400).json({ success: false, error: `"${BUILT_IN_QUESTION_TEMPLATE}" is reserved for the built-in template` });
+        }
+
+        const { fields, error } = parseQuestionTemplateInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error: error });
+        }
+
+        const now = new Date();
+        const template = {
+            templateId: templateId,
+            dbname: null,
+            subjectName: null,
+            language: DEFAULT_LANGUAGE,
+            isDefault: false,
+            includeAnswers: true,
+            encouragements: [],
+            pauseSeconds: QUESTION_PAUSE_SECONDS,
+            ...fields,
+            createdAt: now,
+            updatedAt: now
         };
 
+        await getQuestionTemplatesCollection().insertOne(template);
+        delete template._id;
+        if (template.isDefault) {
+            await clearOtherDefaultTemplates(template);
+        }
+
+        console.log("📝 Question template created:", templateId);
+        res.status(201).json({ success: true, template: template });
     } catch (error) {
-        console.error("❌ Database save error:", error);
-        return {
-            success: false,
-            message: "Database save failed: " + error.message,
-            customDescriptionSaved: false
-        };
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, error: "A question template with this templateId already exists" });
+        }
+        console.error("❌ Failed to create question template:", error);
+        res.status(500).json({ success: false, error: error.message });
     }
-}
+});
 
-async function updateNestedStructureRecursive(collection, document, targetId, updateData) {
+app.put("/api/question-templates/:templateId", async (req, res) => {
     try {
-        const docId = document._id;
-        const path = findPathInNested(document, targetId);
+        const { fields, error } = parseQuestionTemplateInput(req.body, { partial: true });
+        if (error) {
+            return res.status(400).json({ success: false, error: error });
+        }
 
-        if (path) {
-            // Build the update query dynamically
-            const updateQuery = {};
-            for (const key in updateData) {
-                updateQuery[`${path}.${key}`] = updateData[key];
-            }
+        const result = await getQuestionTemplatesCollection().findOneAndUpdate(
+            { templateId: req.params.templateId },
+            { $set: { ...fields, updatedAt: new Date() } },
+            { returnDocument: 'after', projection: { _id: 0 } }
+        );
 
-            const result = await collection.updateOne(
-                { "_id": docId },
-                { $set: updateQuery }
-            );
+        if (!result.value) {
+            return res.status(404).json({ success: false, error: "Question template not found" });
+        }
+        if (result.value.isDefault) {
+            await clearOtherDefaultTemplates(result.value);
+        }
 
-            if (result.modifiedCount > 0) {
-                return {
-                    success: true,
-                    message: `Updated at path: ${path}`,
-                    updateMethod: "recursive_update",
-                    matchedCount: result.matchedCount,
-                    modifiedCount: result.modifiedCount,
-                    customDescriptionSaved: updateData.customDescription !== undefined
-                };
-            }
+        console.log("📝 Question template updated:", req.params.templateId);
+        res.json({ success: true, template: result.value });
+    } catch (error) {
+        console.error("❌ Failed to update question template:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete("/api/question-templates/:templateId", async (req, res) => {
+    try {
+        const result = await getQuestionTemplatesCollection().deleteOne({ templateId: req.params.templateId });
+
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ success: false, error: "Question template not found" });
         }
 
-        return { success: false };
+        console.log("🗑️ Question template deleted:", req.params.templateId);
+        res.json({ success: true, deleted: req.params.templateId });
     } catch (error) {
-        console.error("❌ Recursive update error:", error);
-        return { success: false };
+        console.error("❌ Failed to delete question template:", error);
+        res.status(500).json({ success: false, error: error.message });
     }
+});
+
+// ✅ Video themes - background, watermark placement, logo size and caption style, stored per
+// tenant (dbname), subject and standard in the `videoThemes` collection. Jobs pick theirs up
+// from the path components they already carry; the most specific theme wins.
+const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const BRANDING_SIZES = ['small', 'medium', 'large'];
+const CAPTION_POSITIONS = ['top', 'bottom'];
+const HEX_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+// Means "no stored theme matched" - presenter background, studio watermark, small logo
+const BUILT_IN_VIDEO_THEME = 'default';
+
+const DEFAULT_VIDEO_THEME = {
+    themeId: BUILT_IN_VIDEO_THEME,
+    background: null,
+    watermark: { position: 'top-right', size: 'small' },
+    logoSize: 'small',
+    captions: null
+};
+
+function getVideoThemesCollection() {
+    return client.db(JOBS_DB_NAME).collection('videoThemes');
 }
 
-// ✅ UPDATED: Helper function to update deeply nested arrays with ObjectId
-async function updateNestedArrayWithObjectId(collection, document, objectId, s3Url, customDescription = null) {
+// Most specific first: subject in this standard, the subject, the standard, the tenant, everyone
+function getVideoThemeScopes(dbname, subjectName, standard) {
+    return [
+        { dbname: dbname, subjectName: subjectName || null, standard: standard ? String(standard) : null },
+        { dbname: dbname, subjectName: subjectName || null, standard: null },
+        { dbname: dbname, subjectName: null, standard: standard ? String(standard) : null },
+        { dbname: dbname, subjectName: null, standard: null },
+        { dbname: null, subjectName: null, standard: null }
+    ];
+}
+
+// The theme stored fields are laid over the built-in one, so a theme only has to set what it changes.
+// Falls back to the built-in theme if the registry can't be read - branding never fails a job.
+async function resolveVideoTheme({ dbname, subjectName, standard }) {
     try {
-        const documentId = document._id;
+        const scopes = getVideoThemeScopes(dbname, subjectName, standard);
+        const themes = await getVideoThemesCollection()
+            .find({ $or: scopes }, { projection: { _id: 0 } })
+            .toArray();
+
+        for (const scope of scopes) {
+            const match = themes.find(t => (t.dbname || null) === scope.dbname
+                && (t.subjectName || null) === scope.subjectName
+                && (t.standard || null) === scope.standard);
+            if (match) return toJobTheme(match);
+        }
+    } catch (error) {
+        console.error("⚠️ Could not resolve video theme, using the built-in one:", error.message);
+    }
+    return { ...DEFAULT_VIDEO_THEME };
+}
 
-        // Function to search and build update path
-        const findPath = (obj, targetId, path = '') => {
-            if (!obj || typeof obj !== 'object') return null;
+// Only what the clip request needs - snapshotted into the job so re-runs look the same
+function toJobTheme(theme) {
+    const snapshot = { ...DEFAULT_VIDEO_THEME, themeId: theme.themeId };
+    for (const field of ['background', 'watermark', 'logoSize', 'captions']) {
+        if (theme[field] !== undefined && theme[field] !== null) {
+            snapshot[field] = theme[field];
+        }
+    }
+    return snapshot;
+}
 
-            // Check all array fields
-            const arrayFields = ['units', 'subtopics', 'children', 'topics', 'lessons'];
+function parseThemeBackground(value) {
+    if (value === null) return { value: null };
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        return { error: "background must be { color } or { imageUrl }" };
+    }
+    if (value.color !== undefined) {
+        if (!HEX_COLOR_PATTERN.test(value.color)) {
+            return { error: "background.color must be a hex colour like #a5d6a7" };
+        }
+        return { value: { color: value.color } };
+    }
+    if (value.imageUrl !== undefined) {
+        if (typeof value.imageUrl !== 'string' || !/^https?:\/\/\S+$/.test(value.imageUrl)) {
+            return { error: "background.imageUrl must be an http(s) URL" };
+        }
+        return { value: { imageUrl: value.imageUrl } };
+    }
+    return { error: "background must be { color } or { imageUrl }" };
+}
 
-            for (const field of arrayFields) {
-                if (Array.isArray(obj[field])) {
-                    for (let i = 0; i < obj[field].length; i++) {
-                        const item = obj[field][i];
-                        const itemId = item._id || item.id;
+// Picks the editable fields out of a request body; returns { fields } or { error }
+function parseVideoThemeInput(body, { partial = false } = {}) {
+    const fields = {};
 
-                        // Compare ObjectIds
-                        if (itemId && itemId.toString() === targetId.toString()) {
-                            return `${field}.${i}`;
-                        }
+    if (body.name !== undefined) fields.name = String(body.name).trim();
+    if (body.dbname !== undefined) fields.dbname = body.dbname || null;
+    if (body.subjectName !== undefined) fields.subjectName = body.subjectName || null;
+    if (body.standard !== undefined) fields.standard = body.standard ? String(body.standard) : null;
 
-                        // Search deeper
-                        const deeperPath = findPath(item, targetId, `${field}.${i}`);
-                        if (deeperPath) {
-                            return `${field}.${i}.${deeperPath}`;
-                        }
-                    }
-                }
-            }
+    if (body.background !== undefined) {
+        const background = parseThemeBackground(body.background);
+        if (background.error) return { error: background.error };
+        fields.background = background.value;
+    }
 
-            return null;
-        };
+    if (body.watermark !== undefined) {
+        const { position = 'top-right', size = 'small' } = body.watermark || {};
+        if (!WATERMARK_POSITIONS.includes(position)) {
+            return { error: `watermark.position must be one of: ${WATERMARK_POSITIONS.join(', ')}` };
+        }
+        if (!BRANDING_SIZES.includes(size)) {
+            return { error: `watermark.size must be one of: ${BRANDING_SIZES.join(', ')}` };
+        }
+        fields.watermark = { position, size };
+    }
 
-        const path = findPath(document, objectId);
+    if (body.logoSize !== undefined) {
+        if (!BRANDING_SIZES.includes(body.logoSize)) {
+            return { error: `logoSize must be one of: ${BRANDING_SIZES.join(', ')}` };
+        }
+        fields.logoSize = body.logoSize;
+    }
 
-        if (path) {
-            // Build the update query
-            const updateQuery = {};
-            updateQuery[`${path}.aiVideoUrl`] = s3Url;
-            updateQuery[`${path}.updatedAt`] = new Date();
-            updateQuery[`${path}.videoStorage`] = "aws_s3";
-            updateQuery[`${path}.s3Path`] = s3Url.split('.com/')[1];
+    if (body.captions !== undefined) {
+        if (body.captions !== null && (typeof body.captions !== 'object' || Array.isArray(body.captions))) {
+            return { error: "captions must be an object" };
+        }
+        const { fontColor, backgroundColor, fontSize, position } = body.captions || {};
+        if ((fontColor && !HEX_COLOR_PATTERN.test(fontColor)) || (backgroundColor && !HEX_COLOR_PATTERN.test(backgroundColor))) {
+            return { error: "captions.fontColor and captions.backgroundColor must be hex colours" };
+        }
+        if (fontSize && !BRANDING_SIZES.includes(fontSize)) {
+            return { error: `captions.fontSize must be one of: ${BRANDING_SIZES.join(', ')}` };
+        }
+        if (position && !CAPTION_POSITIONS.includes(position)) {
+            return { error: `captions.position must be one of: ${CAPTION_POSITIONS.join(', ')}` };
+        }
+        fields.captions = body.captions ? Object.fromEntries(
+            Object.entries({ fontColor, backgroundColor, fontSize, position }).filter(([, value]) => value)
+        ) : null;
+    }
 
-            // Add custom description
-            if (customDescription) {
-                updateQuery[`${path}.customDescription`] = customDescription;
-                updateQuery[`${path}.description`] = customDescription;
-                updateQuery[`${path}.updatedDescriptionAt`] = new Date();
-            }
+    if (!partial && !fields.name) {
+        return { error: "name is required" };
+    } else if (partial && fields.name === "") {
+        return { error: "name cannot be empty" };
+    }
 
-            const result = await collection.updateOne(
-                { "_id": documentId },
-                { $set: updateQuery }
-            );
+    return { fields };
+}
 
-            if (result.modifiedCount > 0) {
-                return {
-                    success: true,
-                    message: `Video URL and description saved at path: ${path}`,
-                    updateMethod: "deep_nested_objectid",
-                    matchedCount: result.matchedCount,
-                    modifiedCount: result.modifiedCount,
-                    customDescriptionSaved: !!customDescription
-                };
-            }
+// ✅ Video theme CRUD - `/api/themes/resolve?dbname=&subjectName=&standard=` shows what a job there gets
+app.get("/api/themes", async (req, res) => {
+    try {
+        const { dbname, subjectName, standard } = req.query;
+        const filter = {};
+        if (dbname) filter.dbname = dbname;
+        if (subjectName) filter.subjectName = subjectName;
+        if (standard) filter.standard = String(standard);
+
+        const themes = await getVideoThemesCollection()
+            .find(filter, { projection: { _id: 0 } })
+            .sort({ dbname: 1, subjectName: 1, standard: 1 })
+            .toArray();
+
+        res.json({
+            success: true,
+            themes: themes,
+            builtIn: DEFAULT_VIDEO_THEME
+        });
+    } catch (error) {
+        console.error("❌ Failed to list video themes:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get("/api/themes/resolve", async (req, res) => {
+    const { dbname = "professional", subjectName, standard } = req.query;
+    res.json({
+        success: true,
+        theme: await resolveVideoTheme({ dbname, subjectName, standard })
+    });
+});
+
+app.get("/api/themes/:themeId", async (req, res) => {
+    try {
+        const theme = await getVideoThemesCollection()
+            .findOne({ themeId: req.params.themeId }, { projection: { _id: 0 } });
+
+        if (!theme) {
+            return res.status(404).json({ success: false, error: "Video theme not found" });
+        }
+        res.json({ success: true, theme: theme });
+    } catch (error) {
+        console.error("❌ Failed to get video theme:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post("/api/themes", async (req, res) => {
+    try {
+        const { themeId } = req.body;
+        if (!themeId || !/^[\w-]+$/.test(themeId)) {
+            return res.status(400).json({ success: false, error: "themeId is required (letters, digits, - and _)" });
+        }
+        if (themeId === BUILT_IN_VIDEO_THEME) {
+            return res.status(400).json({ success: false, error: `"${BUILT_IN_VIDEO_THEME}" is reserved for the built-in theme` });
         }
 
-        return { success: false };
+        const { fields, error } = parseVideoThemeInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error: error });
+        }
 
+        const now = new Date();
+        const theme = {
+            themeId: themeId,
+            dbname: null,
+            subjectName: null,
+            standard: null,
+            ...fields,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await getVideoThemesCollection().insertOne(theme);
+        delete theme._id;
+
+        console.log("🎨 Video theme created:", themeId);
+        res.status(201).json({ success: true, theme: theme });
     } catch (error) {
-        console.error("❌ Nested array update error:", error);
-        return { success: false };
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, error: "A theme with this themeId, or for this dbname/subject/standard, already exists" });
+        }
+        console.error("❌ Failed to create video theme:", error);
+        res.status(500).json({ success: false, error: error.message });
     }
-}
+});
 
-// ✅ NEW: Helper function to update deeply nested arrays with String ID
-async function updateNestedArrayWithStringId(collection, document, stringId, s3Url, customDescription = null) {
+app.put("/api/themes/:themeId", async (req, res) => {
     try {
-        const documentId = document._id;
+        const { fields, error } = parseVideoThemeInput(req.body, { partial: true });
+        if (error) {
+            return res.status(400).json({ success: false, error: error });
+        }
 
-        // Function to search and build update path
-        const findPath = (obj, targetId, path = '') => {
-            if (!obj || typeof obj !== 'object') return null;
+        const result = await getVideoThemesCollection().findOneAndUpdate(
+            { themeId: req.params.themeId },
+            { $set: { ...fields, updatedAt: new Date() } },
+            { returnDocument: 'after', projection: { _id: 0 } }
+        );
 
-            // Check all array fields
-            const arrayFields = ['units', 'subtopics', 'children', 'topics', 'lessons'];
+        if (!result.value) {
+            return res.status(404).json({ success: false, error: "Video theme not found" });
+        }
 
-            for (const field of arrayFields) {
-                if (Array.isArray(obj[field])) {
-                    for (let i = 0; i < obj[field].length; i++) {
-                        const item = obj[field][i];
-                        const itemId = item._id || item.id;
+        console.log("🎨 Video theme updated:", req.params.themeId);
+        res.json({ success: true, theme: result.value });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, error: "Another theme already covers this dbname/subject/standard" });
+        }
+        console.error("❌ Failed to update video theme:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-                        // Compare string IDs
-                        if (itemId && itemId.toString() === targetId) {
-                            return `${field}.${i}`;
-                        }
+app.delete("/api/themes/:themeId", async (req, res) => {
+    try {
+        const result = await getVideoThemesCollection().deleteOne({ themeId: req.params.themeId });
 
-                        // Search deeper
-                        const deeperPath = findPath(item, targetId, `${field}.${i}`);
-                        if (deeperPath) {
-                            return `${field}.${i}.${deeperPath}`;
-                        }
-                    }
-                }
-            }
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ success: false, error: "Video theme not found" });
+        }
 
-            return null;
-        };
+        console.log("🗑️ Video theme deleted:", req.params.themeId);
+        res.json({ success: true, deleted: req.params.themeId });
+    } catch (error) {
+        console.error("❌ Failed to delete video theme:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        const path = findPath(document, stringId);
+// ✅ Video versions - every video saved on a subtopic is recorded with what produced it, so a
+// worse regeneration can be rolled back. The current version is whichever one the subtopic's
+// s3Path/aiVideoUrl points at; rolling back re-points it and never deletes anything.
+function getVideoVersionsCollection() {
+    return client.db(JOBS_DB_NAME).collection('videoVersions');
+}
 
-        if (path) {
-            // Build the update query
-            const updateQuery = {};
-            updateQuery[`${path}.aiVideoUrl`] = s3Url;
-            updateQuery[`${path}.updatedAt`] = new Date();
-            updateQuery[`${path}.videoStorage`] = "aws_s3";
-            updateQuery[`${path}.s3Path`] = s3Url.split('.com/')[1];
+// Subtopic fields saved with a version besides aiVideoUrl - a rollback clears the ones it lacks
+const VIDEO_VERSION_FIELDS = ['aiVideoRenditions', 'sourceAudioUrl', 'sourceAudioS3Path'];
 
-            if (customDescription && customDescription.trim() !== "") {
-                updateQuery[`${path}.customDescription`] = customDescription;
-                updateQuery[`${path}.description`] = customDescription;
-                updateQuery[`${path}.updatedDescriptionAt`] = new Date();
-                console.log(`✅ Adding custom description to update at path: ${path}`);
-            }
+function isCurrentVideoVersion(version, subtopic) {
+    if (!subtopic) return false;
+    if (version.s3Path && subtopic.s3Path) return version.s3Path === subtopic.s3Path;
+    return version.url === subtopic.aiVideoUrl;
+}
 
-            const result = await collection.updateOne(
-                { "_id": documentId },
-                { $set: updateQuery }
-            );
+// Appends a version. Never throws - the video is already saved by the time this runs.
+async function recordVideoVersion({
+    subtopicId,
+    dbname,
+    subjectName,
+    url,
+    fields = {},
+    // "job", "upload", "manual", "copy", or "existing" for a video saved before history was kept
+    source,
+    jobId = null,
+    presenterId = null,
+    scriptHash = null,
+    createdBy = null,
+    createdAt = new Date()
+}) {
+    const versions = getVideoVersionsCollection();
+    const owner = { dbname, subjectName, subtopicId: String(subtopicId) };
+    const s3Path = keyFromStoredUrl(url);
 
-            if (result.modifiedCount > 0) {
-                return {
-                    success: true,
-                    message: `Video URL ${customDescription ? 'and description' : ''} saved at path: ${path}`,
-                    updateMethod: "deep_nested_stringid",
-                    matchedCount: result.matchedCount,
-                    modifiedCount: result.modifiedCount,
-                    customDescriptionSaved: !!customDescription
-                };
+    try {
+        // The number follows the latest version; a concurrent save hits the unique index and retries
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const latest = await versions.findOne(owner, { sort: { version: -1 }, projection: { version: 1 } });
+            const version = {
+                versionId: `ver_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                ...owner,
+                version: latest ? latest.version + 1 : 1,
+                url: url,
+                s3Path: s3Path,
+                videoStorage: s3Path ? storage.storedIn : "d_id",
+                fields: Object.fromEntries(VIDEO_VERSION_FIELDS
+                    .filter(field => fields[field] !== undefined)
+                    .map(field => [field, fields[field]])),
+                source: source,
+                jobId: jobId,
+                presenterId: presenterId,
+                scriptHash: scriptHash,
+                createdBy: createdBy || null,
+                createdAt: createdAt
+            };
+
+            try {
+                await versions.insertOne(version);
+                delete version._id;
+                console.log(`🗂️ Recorded video version ${version.version} for subtopic ${owner.subtopicId}`);
+                return version;
+            } catch (error) {
+                if (error.code !== 11000) throw error;
             }
         }
-
-        return { success: false };
-
+        throw new Error("Version number kept colliding with concurrent saves");
     } catch (error) {
-        console.error("❌ Nested array update error:", error);
-        return { success: false };
+        console.error(`❌ Could not record video version for subtopic ${subtopicId}:`, error.message);
+        return null;
     }
 }
 
-// ✅ NEW: Multi-level nested array update using aggregation
-async function updateMultiLevelNestedArray(collection, fieldName, subtopicId, s3Url, customDescription = null) {
-    try {
-        console.log(`🔍 Searching multi-level nested in ${fieldName} for: ${subtopicId}`);
+// saveVideoToDatabase plus a version record. A subtopic whose video predates the history gets
+// that video recorded first, so the first regeneration can be undone as well.
+async function saveVideoVersion(s3Url, subtopicId, dbname, subjectName, {
+    customDescription = null,
+    extraFields = {},
+    ...versionInfo
+} = {}) {
+    const owner = { dbname, subjectName, subtopicId: String(subtopicId) };
 
-        // Use aggregation to find the document
-        const pipeline = [
-            {
-                $match: {
-                    $or: [
-                        { [`${fieldName}._id`]: subtopicId },
-                        { [`${fieldName}.id`]: subtopicId },
-                        { [`${fieldName}.${fieldName}._id`]: subtopicId },
-                        { [`${fieldName}.${fieldName}.id`]: subtopicId }
-                    ]
-                }
+    try {
+        const hasHistory = await getVideoVersionsCollection().findOne(owner, { projection: { _id: 1 } });
+        if (!hasHistory && subjectName) {
+            const subtopic = await getSubtopicNode(subtopicId, dbname, subjectName);
+            if (subtopic && subtopic.aiVideoUrl) {
+                await recordVideoVersion({
+                    ...owner,
+                    url: subtopic.aiVideoUrl,
+                    fields: subtopic,
+                    source: 'existing',
+                    createdAt: subtopic.updatedAt || new Date()
+                });
             }
-        ];
-
-        const docs = await collection.aggregate(pipeline).toArray();
+        }
+    } catch (error) {
+        console.warn(`⚠️ Could not record the existing video of subtopic ${subtopicId}:`, error.message);
+    }
 
-        if (docs.length > 0) {
-            const doc = docs[0];
-            const docId = doc._id;
+    const result = await saveVideoToDatabase(s3Url, subtopicId, dbname, subjectName, customDescription, extraFields);
+    if (result.success) {
+        const version = await recordVideoVersion({ ...owner, url: s3Url, fields: extraFields, ...versionInfo });
+        result.videoVersion = version ? version.version : null;
+    }
+    return result;
+}
 
-            // Try to build the update path
-            let updatePath = null;
+// Version number from the route, or null
+function parseVideoVersion(value) {
+    const version = Number(value);
+    return Number.isInteger(version) && version >= 1 ? version : null;
+}
 
-            // Search for the item
-            const searchItem = (items, targetId, path = fieldName) => {
-                if (!Array.isArray(items)) return null;
+// ✅ Version history - list, preview (signed URLs) and roll back a subtopic's video
+app.get("/api/subtopics/:subtopicId/versions", async (req, res) => {
+    const { subtopicId } = req.params;
+    const { dbname = "professional", subjectName } = req.query;
 
-                for (let i = 0; i < items.length; i++) {
-                    const item = items[i];
-                    const itemId = item._id || item.id;
+    if (!subjectName) {
+        return res.status(400).json({ success: false, error: "subjectName is required" });
+    }
 
-                    if (itemId && itemId.toString() === targetId) {
-                        return `${path}.${i}`;
-                    }
+    try {
+        const [versions, subtopic] = await Promise.all([
+            getVideoVersionsCollection()
+                .find({ dbname, subjectName, subtopicId }, { projection: { _id: 0 } })
+                .sort({ version: -1 })
+                .toArray(),
+            getSubtopicNode(subtopicId, dbname, subjectName)
+        ]);
+
+        if (!subtopic && versions.length === 0) {
+            return res.status(404).json({ success: false, error: "Subtopic not found" });
+        }
 
-                    // Check nested arrays
-                    if (item[fieldName] && Array.isArray(item[fieldName])) {
-                        const nestedPath = searchItem(item[fieldName], targetId, `${path}.${i}.${fieldName}`);
-                        if (nestedPath) return nestedPath;
-                    }
-                }
+        const current = versions.find(version => isCurrentVideoVersion(version, subtopic));
+        res.json({
+            success: true,
+            subtopicId: subtopicId,
+            currentVersion: current ? current.version : null,
+            versions: versions.map(version => ({ ...version, current: version === current }))
+        });
+    } catch (error) {
+        console.error("❌ Failed to list video versions:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-                return null;
-            };
+app.get("/api/subtopics/:subtopicId/versions/:version", async (req, res) => {
+    const { subtopicId } = req.params;
+    const { dbname = "professional", subjectName } = req.query;
 
-            if (doc[fieldName] && Array.isArray(doc[fieldName])) {
-                updatePath = searchItem(doc[fieldName], subtopicId);
-            }
+    if (!subjectName) {
+        return res.status(400).json({ success: false, error: "subjectName is required" });
+    }
 
-            if (updatePath) {
-                // Build the update query
-                const updateQuery = {};
-                updateQuery[`${updatePath}.aiVideoUrl`] = s3Url;
-                updateQuery[`${updatePath}.updatedAt`] = new Date();
-                updateQuery[`${updatePath}.videoStorage`] = "aws_s3";
-                updateQuery[`${updatePath}.s3Path`] = s3Url.split('.com/')[1];
+    const versionNumber = parseVideoVersion(req.params.version);
+    if (!versionNumber) {
+        return res.status(400).json({ success: false, error: "version must be a positive whole number" });
+    }
 
-                if (customDescription && customDescription.trim() !== "") {
-                    updateQuery[`${updatePath}.customDescription`] = customDescription;
-                    updateQuery[`${updatePath}.description`] = customDescription;
-                    updateQuery[`${updatePath}.updatedDescriptionAt`] = new Date();
-                    console.log(`✅ Adding custom description to multi-level update at path: ${updatePath}`);
-                }
+    const expiresIn = parseSignedUrlTtl(req.query.expiresIn);
+    if (!expiresIn) {
+        return res.status(400).json({ success: false, error: SIGNED_URL_TTL_ERROR });
+    }
 
-                const result = await collection.updateOne(
-                    { "_id": docId },
-                    { $set: updateQuery }
-                );
+    try {
+        const version = await getVideoVersionsCollection()
+            .findOne({ dbname, subjectName, subtopicId, version: versionNumber }, { projection: { _id: 0 } });
 
-                if (result.modifiedCount > 0) {
-                    return {
-                        success: true,
-                        message: `Video URL ${customDescription ? 'and description' : ''} saved at multi-level path: ${updatePath}`,
-                        updateMethod: "multi_level_nested",
-                        matchedCount: result.matchedCount,
-                        modifiedCount: result.modifiedCount,
-                        customDescriptionSaved: !!customDescription
-                    };
-                }
-            }
+        if (!version) {
+            return res.status(404).json({ success: false, error: `Version ${versionNumber} not found` });
         }
 
-        return { success: false };
-
+        res.json({
+            success: true,
+            version: version,
+            preview: await signVideoUrls({
+                url: version.url,
+                s3Path: version.s3Path,
+                renditions: version.fields.aiVideoRenditions
+            }, expiresIn)
+        });
     } catch (error) {
-        console.error("❌ Multi-level update error:", error);
-        return { success: false };
+        console.error("❌ Failed to preview video version:", error);
+        res.status(500).json({ success: false, error: error.message });
     }
-}
+});
 
-// ✅ SIMPLIFIED: Create folder structure in S3
-app.post("/api/create-s3-folder", async (req, res) => {
-    try {
-        const { folderPath, bucket } = req.body;
+app.post("/api/subtopics/:subtopicId/versions/:version/rollback", async (req, res) => {
+    const { subtopicId } = req.params;
+    const { dbname = "professional", subjectName, rolledBackBy } = req.body;
 
-        if (!folderPath) {
-            return res.status(400).json({
-                success: false,
-                error: "Missing folderPath"
-            });
-        }
+    if (!subjectName) {
+        return res.status(400).json({ success: false, error: "subjectName is required" });
+    }
 
-        console.log("📁 Creating folder structure:", folderPath);
+    const versionNumber = parseVideoVersion(req.params.version);
+    if (!versionNumber) {
+        return res.status(400).json({ success: false, error: "version must be a positive whole number" });
+    }
 
-        // Parse the folder path
-        let targetBucket = bucket || S3_BUCKET_NAME;
-        let targetPrefix = folderPath;
+    try {
+        const versions = getVideoVersionsCollection();
+        const version = await versions.findOne({ dbname, subjectName, subtopicId, version: versionNumber });
 
-        if (folderPath.startsWith('s3://')) {
-            const pathWithoutPrefix = folderPath.replace('s3://', '');
-            const firstSlashIndex = pathWithoutPrefix.indexOf('/');
-            targetBucket = pathWithoutPrefix.substring(0, firstSlashIndex);
-            targetPrefix = pathWithoutPrefix.substring(firstSlashIndex + 1);
+        if (!version) {
+            return res.status(404).json({ success: false, error: `Version ${versionNumber} not found` });
         }
 
-        // Ensure the path ends with a slash
-        if (!targetPrefix.endsWith('/')) {
-            targetPrefix = targetPrefix + '/';
+        const clearedFields = Object.fromEntries(VIDEO_VERSION_FIELDS.map(field => [field, null]));
+        // The version's playback link may be signed with a secret rotated since - sign it afresh
+        const restoredUrl = version.s3Path ? toStoredUrl(version.s3Path) : version.url;
+        const restoredFields = { ...version.fields };
+        if (restoredFields.aiVideoRenditions) {
+            restoredFields.aiVideoRenditions = restoredFields.aiVideoRenditions.map(rendition =>
+                rendition.s3Path ? { ...rendition, url: toStoredUrl(rendition.s3Path) } : rendition);
         }
+        if (restoredFields.sourceAudioS3Path) {
+            restoredFields.sourceAudioUrl = toStoredUrl(restoredFields.sourceAudioS3Path);
+        }
+        const saveResult = await saveVideoToDatabase(restoredUrl, subtopicId, dbname, subjectName, null, {
+            ...clearedFields,
+            ...restoredFields,
+            videoRolledBackAt: new Date(),
+            videoRolledBackBy: rolledBackBy || null
+        });
 
-        // Create a folder marker file
-        const folderMarkerKey = targetPrefix + 'folder_placeholder.txt';
-
-        await s3Client.send(new PutObjectCommand({
-            Bucket: targetBucket,
-            Key: folderMarkerKey,
-            Body: `Folder created on ${new Date().toISOString()}`,
-            ContentType: 'text/plain'
-        }));
+        if (!saveResult.success) {
+            return res.status(404).json({ success: false, error: saveResult.message });
+        }
 
-        console.log("✅ Folder structure created:", targetPrefix);
+        await versions.updateOne({ versionId: version.versionId }, {
+            $set: { lastRestoredAt: new Date(), lastRestoredBy: rolledBackBy || null }
+        });
 
+        console.log(`⏪ Subtopic ${subtopicId} rolled back to video version ${versionNumber}`);
         res.json({
             success: true,
-            message: "Folder structure created successfully",
-            directory: targetPrefix,
-            bucket: targetBucket,
-            consoleUrl: `https://s3.console.aws.amazon.com/s3/buckets/${targetBucket}/prefix=${targetPrefix}`
+            subtopicId: subtopicId,
+            currentVersion: versionNumber,
+            aiVideoUrl: restoredUrl,
+            updateMethod: saveResult.updateMethod
         });
-
     } catch (error) {
-        console.error("❌ Error creating folder:", error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        console.error("❌ Failed to roll back video version:", error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// ✅ CORRECTED: Copies S3 file and updates the nested aiVideoUrl in the database
-// ✅ FIXED: Handles nested units at ANY depth (units within units within units)
-app.post("/api/copy-s3-file", async (req, res) => {
-    try {
-        const {
-            sourceUrl,
-            destinationPath,
-            dbname,
-            subjectName,
-            subtopicId, // This is the ID of the nested unit
-            customDescription
-        } = req.body;
+// ✅ Long scripts are split into chunks that each stay under the provider's script limit,
+// rendered as separate clips and stitched into one MP4 with ffmpeg before the S3 upload.
+const SCRIPT_CHUNK_MAX_CHARS = config.scriptChunkMaxChars;
+const SCRIPT_CHUNK_MAX_ATTEMPTS = config.scriptChunkMaxAttempts;
+const FFMPEG_PATH = config.ffmpegPath;
+const FFMPEG_TIMEOUT_MS = 10 * 60 * 1000;
+
+// ffmpeg is a runtime requirement for chunked jobs and is not on the Heroku Node stack - add an
+// ffmpeg buildpack (or any binary via FFMPEG_PATH). Checked at startup so a missing binary shows
+// up in the deploy log and /health rather than on the first long lesson.
+let ffmpegAvailable = null;
+
+function checkFfmpeg() {
+    execFile(FFMPEG_PATH, ['-version'], { timeout: 10000 }, error => {
+        ffmpegAvailable = !error;
+        if (error) {
+            console.error(`❌ ${FFMPEG_PATH} not found - scripts over ${SCRIPT_CHUNK_MAX_CHARS} chars will fail. Install ffmpeg or set FFMPEG_PATH`);
+        } else {
+            console.log(`✅ ffmpeg available at ${FFMPEG_PATH}`);
+        }
+    });
+}
 
-        console.log("🔄 Starting S3 file COPY process...");
-        console.log("📁 Source URL:", sourceUrl);
-        console.log("📁 Destination Path:", destinationPath);
-        console.log("📌 Subtopic ID (target for update):", subtopicId);
-        console.log("📌 Subject:", subjectName);
+// Split points are section breaks (blank lines) and sentence ends outside any SSML element,
+// so every chunk is valid SSML on its own. A chunk only goes over the limit when a single
+// sentence is longer than it.
+function splitNarrationScript(script, maxChars = SCRIPT_CHUNK_MAX_CHARS) {
+    if (script.length <= maxChars) {
+        return [script];
+    }
 
-        // --- Input Validation ---
-        if (!sourceUrl || !destinationPath || !subtopicId || !subjectName) {
-            return res.status(400).json({ success: false, error: "Missing required parameters" });
+    const boundaries = [];
+    let depth = 0;
+    for (const match of script.matchAll(/<(\/?)[a-zA-Z][^>]*?(\/?)>|\n\s*\n|[.!?।](?=\s)/g)) {
+        const token = match[0];
+        if (token.startsWith('<')) {
+            if (!match[2]) depth += match[1] ? -1 : 1;
+        } else if (depth === 0) {
+            boundaries.push({ index: match.index + token.length, section: token.trim() === '' });
         }
+    }
 
-        // --- 1. Parse and Execute S3 Copy ---
-        const urlMatch = sourceUrl.match(/https:\/\/(.+?)\.s3\.(.+?)\.amazonaws\.com\/(.+)/);
-        if (!urlMatch) {
-            return res.status(400).json({ success: false, error: "Invalid S3 URL format" });
+    const chunks = [];
+    let start = 0;
+    while (script.length - start > maxChars) {
+        const candidates = boundaries.filter(b => b.index > start && b.index <= start + maxChars);
+        // Prefer ending on a section break, as long as the chunk is at least half full
+        const section = candidates.filter(b => b.section && b.index - start >= maxChars / 2).pop();
+        const cut = section || candidates.pop() || boundaries.find(b => b.index > start + maxChars);
+        if (!cut) break;
+
+        chunks.push(script.slice(start, cut.index).trim());
+        start = cut.index;
+    }
+    chunks.push(script.slice(start).trim());
+
+    return chunks.filter(Boolean);
+}
+
+function runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+        execFile(FFMPEG_PATH, args, { timeout: FFMPEG_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                const detail = error.code === 'ENOENT'
+                    ? `${FFMPEG_PATH} not found - install ffmpeg or set FFMPEG_PATH`
+                    : String(stderr || error.message).trim().split('\n').slice(-3).join(' ');
+                return reject(new Error(`ffmpeg failed: ${detail}`));
+            }
+            resolve();
+        });
+    });
+}
+
+// ✅ Join MP4 clips without re-encoding - chunks share presenter and config, so the codecs match.
+// Resolves with { path, size, workDir } of the stitched file; the caller uploads it and then
+// removes workDir with discardStitchedFiles.
+async function stitchVideos(videoUrls, { onAttempt, extension = 'mp4' } = {}) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ai-video-'));
+
+    try {
+        const parts = [];
+        for (let i = 0; i < videoUrls.length; i++) {
+            const partPath = path.join(workDir, `part_${i}.${extension}`);
+            await consumeVideoDownload(videoUrls[i], stream => streamPipeline(stream, fs.createWriteStream(partPath)), { onAttempt });
+            parts.push(partPath);
         }
-        const sourceBucket = urlMatch[1];
-        const region = urlMatch[2];
-        const sourceKey = urlMatch[3];
 
-        let targetKey = destinationPath;
-        if (destinationPath.startsWith('s3://')) {
-            const pathParts = destinationPath.replace('s3://', '').split('/');
-            pathParts.shift(); // Remove bucket name
-            targetKey = pathParts.join('/');
+        const listPath = path.join(workDir, 'parts.txt');
+        const outputPath = path.join(workDir, `stitched.${extension}`);
+        await fs.promises.writeFile(listPath, parts.map(part => `file '${part}'`).join('\n'));
+
+        console.log(`🧵 Stitching ${parts.length} parts with ffmpeg...`);
+        await runFfmpeg([
+            '-hide_banner', '-loglevel', 'error',
+            '-f', 'concat', '-safe', '0', '-i', listPath,
+            '-c', 'copy', '-movflags', '+faststart',
+            '-y', outputPath
+        ]);
+
+        const { size } = await fs.promises.stat(outputPath);
+        console.log("✅ Stitched video size:", size, "bytes");
+
+        // The parts are no longer needed, only the stitched file has to last until the upload
+        for (const part of parts) {
+            await fs.promises.rm(part, { force: true });
         }
+        return { path: outputPath, size: size, workDir: workDir };
+    } catch (error) {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+        throw error;
+    }
+}
 
-        console.log("📋 Copying file...");
-        await s3Client.send(new CopyObjectCommand({
-            Bucket: sourceBucket,
-            CopySource: encodeURIComponent(`${sourceBucket}/${sourceKey}`),
-            Key: targetKey,
-            MetadataDirective: 'COPY'
-        }));
-        console.log("✅ File copied successfully");
+async function discardStitchedFiles(renditions) {
+    for (const rendition of renditions || []) {
+        if (rendition.videoFile) {
+            await fs.promises.rm(rendition.videoFile.workDir, { recursive: true, force: true });
+        }
+    }
+}
 
-        const newUrl = `https://${sourceBucket}.s3.${region}.amazonaws.com/${targetKey}`;
+// Every provider clip that belongs to a job - chunked jobs keep theirs in `chunks`,
+// jobs with several output presets in `outputs[].chunks`
+function getJobClipIds(job) {
+    if (job.clipId) return [job.clipId];
+    return [...(job.chunks || []), ...(job.outputs || []).flatMap(output => output.chunks || [])]
+        .map(chunk => chunk.clipId)
+        .filter(Boolean);
+}
 
-        // --- 2. Update the Nested aiVideoUrl in MongoDB (RECURSIVE SEARCH) ---
-        console.log(`💾 Updating database for Subtopic ID: ${subtopicId}`);
+// ✅ Render a script as one clip per chunk, each retried on its own, and stitch them if there
+// are several. Chunk state is kept on the job under `statePath`, so a job re-run after a restart
+// reuses clips that already rendered. Resolves with { videoUrl | videoFile, clipIds }, or null
+// if the job was cancelled meanwhile - the caller finishes the cancellation.
+async function renderChunkedVideo(jobId, chunks, provider, clipOptions, { statePath = 'chunks', label = '' } = {}) {
+    const job = await getJob(jobId);
+    const previous = statePath.split('.').reduce((value, key) => value && value[key], job) || [];
+    const state = chunks.map((chunk, index) => {
+        const hash = hashScript(chunk);
+        const old = previous[index];
+        return old && old.hash === hash && old.status !== 'failed'
+            ? old
+            : { index: index, hash: hash, chars: chunk.length, status: 'pending', clipId: null, attempts: 0 };
+    });
 
-        const dbConn = getDB(dbname);
-        const collection = dbConn.collection(subjectName);
+    await updateJob(jobId, {
+        provider: provider.name,
+        chunkCount: chunks.length,
+        chunksDone: 0,
+        [statePath]: state
+    });
 
-        let updateResult = { matchedCount: 0, modifiedCount: 0 };
-        let updateMethod = "none";
+    const clipIds = [];
+    const resultUrls = [];
 
-        // Helper function to recursively find and update a unit at any depth
-        async function findAndUpdateUnit(doc, targetId, newUrl, currentPath = '') {
-            if (!doc || typeof doc !== 'object') return null;
+    for (let index = 0; index < chunks.length; index++) {
+        const part = [label, chunks.length > 1 ? `Part ${index + 1}/${chunks.length}` : ''].filter(Boolean).join(' · ') || 'Clip';
+        let clipId = state[index].clipId;
+        let attempts = state[index].attempts || 0;
+        let videoUrl = null;
 
-            // Check if this document itself is the target
-            if ((doc._id && doc._id.toString() === targetId) ||
-                (doc.id && doc.id.toString() === targetId)) {
-                return { doc, path: currentPath };
+        while (!videoUrl) {
+            if (isJobCancelled(jobId)) {
+                return null;
             }
 
-            // Check all array fields that might contain nested units
-            const arrayFields = ['units', 'subtopics', 'children', 'topics', 'lessons'];
+            try {
+                if (!clipId) {
+                    attempts++;
+                    await updateJob(jobId, {
+                        progress: `${part}: Calling ${provider.label} API...`,
+                        [`${statePath}.${index}.status`]: 'creating',
+                        [`${statePath}.${index}.attempts`]: attempts
+                    });
 
-            for (const field of arrayFields) {
-                if (Array.isArray(doc[field])) {
-                    for (let i = 0; i < doc[field].length; i++) {
-                        const item = doc[field][i];
-                        const itemPath = currentPath ? `${currentPath}.${field}.${i}` : `${field}.${i}`;
-
-                        // Check if this item is the target
-                        if ((item._id && item._id.toString() === targetId) ||
-                            (item.id && item.id.toString() === targetId)) {
-                            return { doc: item, path: itemPath };
-                        }
+                    const requestPayload = provider.buildClipRequest({ ...clipOptions, script: chunks[index], ssml: true });
+                    const clip = await withRetry(() => provider.createClip(requestPayload), {
+                        label: `${provider.label} create clip (${part})`,
+                        onAttempt: attempt => updateJob(jobId, { 'attempts.createClip': attempt }),
+                        isRetryable: isUnsentRequestError
+                    });
 
-                        // Recursively search deeper
-                        const found = await findAndUpdateUnit(item, targetId, newUrl, itemPath);
-                        if (found) return found;
-                    }
+                    clipId = clip.id;
+                    console.log(`⏳ ${part} clip created with ID:`, clipId);
+                    await updateJob(jobId, {
+                        [`${statePath}.${index}.clipId`]: clipId,
+                        [`${statePath}.${index}.status`]: 'rendering'
+                    });
                 }
-            }
 
-            return null;
+                videoUrl = await waitForClip(jobId, clipId, provider, `${part}: `);
+                if (!videoUrl) {
+                    return null;
+                }
+            } catch (error) {
+                // A create call that failed for good - rejected outright, or it may have been
+                // accepted (timeout, 5xx) and sending it again could start a second billed clip
+                const rejected = !clipId && error.retryable === false;
+                // A timed-out clip may still be rendering (and billing) - stop it whether the
+                // part is rendered again or the job fails
+                if (clipId) {
+                    await provider.cancelClip(clipId);
+                }
+                if (rejected || attempts >= SCRIPT_CHUNK_MAX_ATTEMPTS) {
+                    await updateJob(jobId, {
+                        [`${statePath}.${index}.status`]: 'failed',
+                        [`${statePath}.${index}.error`]: error.message
+                    });
+                    error.message = `${part} failed after ${attempts} attempt(s): ${error.message}`;
+                    throw error;
+                }
+
+                console.warn(`⚠️ ${part} failed (attempt ${attempts}/${SCRIPT_CHUNK_MAX_ATTEMPTS}), rendering it again:`, error.message);
+                await updateJob(jobId, {
+                    [`${statePath}.${index}.status`]: 'retrying',
+                    [`${statePath}.${index}.error`]: error.message,
+                    [`${statePath}.${index}.clipId`]: null
+                });
+                clipId = null;
+            }
         }
 
-        // Try with ObjectId first
-        if (ObjectId.isValid(subtopicId)) {
-            const targetObjectId = new ObjectId(subtopicId);
+        clipIds.push(clipId);
+        resultUrls.push(videoUrl);
+        await updateJob(jobId, {
+            [`${statePath}.${index}.status`]: 'done',
+            chunksDone: index + 1
+        });
+    }
 
-            // Get all documents in the collection
-            const allDocs = await collection.find({}).toArray();
+    if (resultUrls.length === 1) {
+        return { videoUrl: resultUrls[0], clipIds };
+    }
 
-            for (const doc of allDocs) {
-                const found = await findAndUpdateUnit(doc, subtopicId, newUrl);
+    await updateJob(jobId, {
+        progress: `${label ? `${label} · ` : ''}Stitching ${chunks.length} parts...`
+    });
+    const videoFile = await stitchVideos(resultUrls, {
+        extension: clipOptions.output.extension,
+        onAttempt: attempt => updateJob(jobId, { 'attempts.download': attempt })
+    });
 
-                if (found) {
-                    // Build the update object
-                    const updateObj = {};
-                    updateObj[`${found.path}.aiVideoUrl`] = newUrl;
-                    updateObj[`${found.path}.updatedAt`] = new Date();
+    return { videoFile, clipIds };
+}
 
-                    // Add S3 path if needed
-                    updateObj[`${found.path}.s3Path`] = targetKey;
-                    updateObj[`${found.path}.videoStorage`] = "aws_s3";
+// ✅ Render every requested output preset in turn. With one preset the chunk state lives in
+// `chunks` as before; with several, each preset gets its own entry in `outputs`.
+// Resolves with [{ preset, videoUrl | videoFile, clipIds }], or null if the job was cancelled.
+async function renderOutputPresets(jobId, chunks, provider, clipOptions, outputPresets) {
+    const single = outputPresets.length === 1;
+
+    if (!single) {
+        const previous = (await getJob(jobId))?.outputs || [];
+        await updateJob(jobId, {
+            outputs: outputPresets.map((preset, index) =>
+                previous[index] && previous[index].preset === preset ? previous[index] : { preset: preset, chunks: [] })
+        });
+    }
 
-                    // Update the document
-                    updateResult = await collection.updateOne(
-                        { "_id": doc._id },
-                        { $set: updateObj }
-                    );
+    const renditions = [];
+    try {
+        for (let index = 0; index < outputPresets.length; index++) {
+            const output = getOutputPreset(outputPresets[index]);
+            const rendition = await renderChunkedVideo(jobId, chunks, provider, { ...clipOptions, output }, {
+                statePath: single ? 'chunks' : `outputs.${index}.chunks`,
+                label: single ? '' : `Output ${index + 1}/${outputPresets.length} ${output.label}`
+            });
 
-                    if (updateResult.modifiedCount > 0) {
-                        updateMethod = `recursive_update_at_${found.path}`;
-                        console.log(`✅ Updated at path: ${found.path}`);
-                        break;
-                    }
-                }
+            if (!rendition) {
+                await discardStitchedFiles(renditions);
+                return null;
             }
+            renditions.push({ preset: output.name, ...rendition });
         }
+    } catch (error) {
+        await discardStitchedFiles(renditions);
+        throw error;
+    }
 
-        // If ObjectId approach didn't work, try with string ID
-        if (updateResult.modifiedCount === 0) {
-            const allDocs = await collection.find({}).toArray();
+    return renditions;
+}
+
+// ✅ FIXED: Added logo size control
+async function processVideoJob(jobId, {
+    subtopic,
+    description,
+    questions,
+    presenter_id,
+    subtopicId,
+    parentId,
+    rootId,
+    dbname,
+    subjectName,
+    // ✅ RECEIVE PATH COMPONENTS
+    standard,
+    lessonName,
+    topicName,
+    // ✅ ADD LOGO SIZE PARAMETER
+    logoSize = "small",  // Default to small if not provided
+    // Snapshot of the subject's video theme, see resolveVideoTheme
+    theme = DEFAULT_VIDEO_THEME,
+    providerName = DEFAULT_VIDEO_PROVIDER,
+    scriptFormat = 'text',
+    language = DEFAULT_LANGUAGE,
+    questionTemplate = null,
+    includeAnswers = true,
+    // Pre-recorded narration uploaded with the request: { s3Key, s3Url, ... }
+    audio = null,
+    // Output preset names, the first one becomes the subtopic's aiVideoUrl
+    outputPresets = DEFAULT_OUTPUT_PRESETS,
+    createdBy = null
+}) {
+    try {
+        console.log(`🔄 Processing video job ${jobId} for:`, subtopic);
+        console.log(`🎭 Selected presenter: ${presenter_id}`);
+        console.log(`🖼️ Logo size: ${logoSize}`);
+        console.log(`🎨 Theme: ${theme.themeId}`);
+        console.log(`🎞️ Output presets: ${outputPresets.join(', ')}`);
+        // ✅ VERIFY PATH COMPONENTS ARE RECEIVED
+        console.log(`📁 S3 Path Components Received:`, {
+            standard: standard || 'no_standard',
+            subject: subjectName,
+            lesson: lessonName || subtopic,
+            topic: topicName || subtopic
+        });
 
-            for (const doc of allDocs) {
-                const found = await findAndUpdateUnit(doc, subtopicId, newUrl);
+        // Audio jobs lip-sync the recording, so there is no script to build or split
+        const cleanScript = audio ? null : buildNarrationScript(description, questions, {
+            scriptFormat,
+            language,
+            questionTemplate,
+            includeAnswers
+        });
 
-                if (found) {
-                    const updateObj = {};
-                    updateObj[`${found.path}.aiVideoUrl`] = newUrl;
-                    updateObj[`${found.path}.updatedAt`] = new Date();
-                    updateObj[`${found.path}.s3Path`] = targetKey;
-                    updateObj[`${found.path}.videoStorage`] = "aws_s3";
+        // What was narrated, for the version history: the script, or the uploaded recording
+        const scriptHash = audio ? audio.sha256 || null : hashScript(cleanScript);
+        await updateJob(jobId, { scriptHash: scriptHash });
+
+        const provider = getVideoProvider(providerName);
+        const saveOptions = {
+            providerName: provider.name,
+            language,
+            audio,
+            scriptHash,
+            createdBy,
+            outputPresets,
+            subtopic,
+            questionCount: questions.length,
+            presenter_id,
+            subtopicId,
+            dbname,
+            subjectName,
+            standard,
+            lessonName,
+            topicName
+        };
 
-                    updateResult = await collection.updateOne(
-                        { "_id": doc._id },
-                        { $set: updateObj }
-                    );
+        const clipOptions = {
+            presenter_id,
+            audioUrl: audio ? await getProviderMediaUrl(audio.s3Key, audio.s3Url) : null,
+            language,
+            logoSize,
+            theme
+        };
 
-                    if (updateResult.modifiedCount > 0) {
-                        updateMethod = `recursive_update_string_at_${found.path}`;
-                        console.log(`✅ Updated at path: ${found.path} (string ID)`);
-                        break;
-                    }
-                }
+        // An audio job is a single clip that lip-syncs the recording, the script is ignored
+        const chunks = audio ? [''] : splitNarrationScript(cleanScript);
+        if (chunks.length > 1 || outputPresets.length > 1) {
+            if (chunks.length > 1) {
+                console.log(`✂️ Script is ${cleanScript.length} chars, rendering it in ${chunks.length} parts`);
             }
-        }
 
-        // Try the direct approach as a fallback
-        if (updateResult.modifiedCount === 0) {
-            // Try to update in top-level units
-            updateResult = await collection.updateOne(
-                { "units._id": subtopicId },
-                {
-                    $set: {
-                        "units.$.aiVideoUrl": newUrl,
-                        "units.$.updatedAt": new Date(),
-                        "units.$.s3Path": targetKey,
-                        "units.$.videoStorage": "aws_s3"
-                    }
+            const renditions = await renderOutputPresets(jobId, chunks, provider, clipOptions, outputPresets);
+            try {
+                if (!renditions || isJobCancelled(jobId)) {
+                    await finishCancelledJob(jobId, getJobClipIds((await getJob(jobId)) || {}), provider.name);
+                    return;
                 }
-            );
 
-            if (updateResult.modifiedCount > 0) {
-                updateMethod = "top_level_units";
-                console.log("✅ Updated in top-level units");
+                await saveJobVideo(jobId, {
+                    ...saveOptions,
+                    renditions,
+                    clipIds: renditions.flatMap(rendition => rendition.clipIds)
+                });
+            } finally {
+                await discardStitchedFiles(renditions);
             }
+            return;
         }
 
-        console.log(`📊 Update Result - Matched: ${updateResult.matchedCount}, Modified: ${updateResult.modifiedCount}, Method: ${updateMethod}`);
-
-        const databaseUpdated = updateResult.modifiedCount > 0;
+        const requestPayload = provider.buildClipRequest({
+            ...clipOptions,
+            script: cleanScript,
+            ssml: true,
+            output: getOutputPreset(outputPresets[0])
+        });
 
-        if (!databaseUpdated) {
-            console.warn(`⚠️ Warning: Database update affected 0 documents. Check if subtopicId '${subtopicId}' exists at any nesting level.`);
-        }
+        console.log(`📤 ${provider.label} Request Payload:`, JSON.stringify(requestPayload, null, 2));
 
-        res.json({
-            success: true,
-            message: databaseUpdated
-                ? `✅ File copied and database updated successfully! (${updateMethod})`
-                : "⚠️ File copied, but the database record was not found or updated.",
-            newUrl: newUrl,
-            database_updated: databaseUpdated,
-            update_method: updateMethod,
-            db_details: {
-                matchedCount: updateResult.matchedCount,
-                modifiedCount: updateResult.modifiedCount
-            }
+        // Update job status
+        await updateJob(jobId, {
+            progress: `Calling ${provider.label} API...`,
+            provider: provider.name
         });
 
-    } catch (error) {
-        console.error("❌ Server Error in /api/copy-s3-file:", error);
-        res.status(500).json({
-            success: false,
-            error: error.message
+        console.log(`⏳ Calling ${provider.label} API...`);
+        const clip = await withRetry(() => provider.createClip(requestPayload), {
+            label: `${provider.label} create clip`,
+            onAttempt: attempt => updateJob(jobId, { 'attempts.createClip': attempt }),
+            isRetryable: isUnsentRequestError
         });
-    }
-});
-
-// ✅ DEBUG endpoint to check parameters
-app.post("/api/debug-copy-request", async (req, res) => {
-    try {
-        console.log("🔍 DEBUG - Received request body:", req.body);
 
-        const {
-            oldUrl,
-            newFullPath,
-            dbname,
-            subjectName,
-            subtopicId
-        } = req.body;
-
-        const missingParams = [];
-        if (!oldUrl) missingParams.push('oldUrl');
-        if (!newFullPath) missingParams.push('newFullPath');
-        if (!dbname) missingParams.push('dbname');
-        if (!subjectName) missingParams.push('subjectName');
-        if (!subtopicId) missingParams.push('subtopicId');
+        const clipId = clip.id;
+        console.log("⏳ Clip created with ID:", clipId);
 
-        if (missingParams.length > 0) {
-            return res.status(400).json({
-                success: false,
-                error: "Missing parameters",
-                missing: missingParams,
-                received: req.body
-            });
+        if (isJobCancelled(jobId)) {
+            await finishCancelledJob(jobId, clipId, provider.name);
+            return;
         }
 
-        res.json({
-            success: true,
-            message: "All parameters received",
-            received: req.body
+        // Update job status
+        await updateJob(jobId, {
+            progress: 'Video rendering...',
+            clipId: clipId
         });
+
+        await pollClipAndSave(jobId, clipId, saveOptions);
+
     } catch (error) {
-        console.error("❌ Debug error:", error);
-        res.status(500).json({
-            success: false,
-            error: error.message
+        console.error("❌ Video generation failed:", error);
+        await updateJob(jobId, {
+            status: 'failed',
+            error: error.message,
+            errorClass: error.retryable ? 'retryable' : 'fatal',
+            failedAt: new Date()
         });
     }
-});
+}
 
-// ✅ FIXED: Async video generation with immediate response
-app.post("/generate-and-upload", async (req, res) => {
-    try {
-        const {
-            subtopic,
-            description,
-            questions = [],
-            presenter_id = "v2_public_anita@Os4oKCBIgZ",
-            subtopicId,
-            parentId,
-            rootId,
-            dbname = "professional",
-            subjectName,
-            // ✅ CRITICAL: Get path components
-            standard,
-            lessonName,
-            topicName,
-            // ✅ ADD LOGO SIZE PARAMETER
-            logoSize = "small"  // Default to small
-        } = req.body;
+// ✅ Video job queue - bounded concurrency, priorities and fair scheduling across dbname tenants
+const VIDEO_WORKER_CONCURRENCY = config.videoWorkerConcurrency;
+const JOB_PRIORITIES = { high: 3, normal: 2, low: 1 };
 
-        console.log("🎬 GENERATE VIDEO: Starting video generation for:", subtopic);
-        console.log("📋 Path Components:", { standard, subjectName, lessonName, topicName });
-        console.log("🖼️ Logo Size:", logoSize);
+const videoQueue = [];             // { jobId, params, priority, dbname, queuedAt }
+const runningVideoJobs = new Map(); // jobId -> dbname
+const tenantLastServed = new Map(); // dbname -> serve sequence number
+let tenantServeSequence = 0;
 
-        // Generate unique job ID
-        const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+function normalizeJobPriority(priority) {
+    const value = String(priority || '').toLowerCase();
+    return JOB_PRIORITIES[value] ? value : 'normal';
+}
 
-        // Store initial job status WITH PATH COMPONENTS AND LOGO SIZE
-        jobStatus.set(jobId, {
-            status: 'processing',
-            subtopic: subtopic,
-            startedAt: new Date().toISOString(),
-            questions: questions.length,
-            presenter: presenter_id,
-            progress: 'Starting video generation...',
-            videoUrl: null,
-            error: null,
-            subtopicId: subtopicId,
-            dbname: dbname,
-            subjectName: subjectName,
-            // ✅ CRITICAL: Store path components
-            standard: standard || 'no_standard',
-            lessonName: lessonName || subtopic,
-            topicName: topicName || subtopic,
-            // ✅ STORE LOGO SIZE
-            logoSize: logoSize
-        });
+function countRunningForTenant(dbname, running = runningVideoJobs) {
+    let count = 0;
+    for (const tenant of running.values()) {
+        if (tenant === dbname) count++;
+    }
+    return count;
+}
 
-        // ✅ IMMEDIATE RESPONSE
-        res.json({
-            success: true,
-            status: "processing",
-            message: "AI video generation started",
-            job_id: jobId,
-            subtopic: subtopic,
-            logo_size: logoSize,
-            note: "Video is being generated. Use /api/job-status/:jobId to check progress.",
-            estimated_time: "2-3 minutes",
-            check_status: `GET /api/job-status/${jobId}`
-        });
+// Highest priority first; within a priority the tenant with the fewest running
+// jobs (then the one served longest ago) wins; within a tenant it is FIFO.
+function pickNextJobIndex(queue, running, lastServed) {
+    let bestIndex = -1;
 
-        // ✅ PROCESS IN BACKGROUND WITH PATH COMPONENTS AND LOGO SIZE
-        processVideoJob(jobId, {
-            subtopic,
-            description,
-            questions,
-            presenter_id,
-            subtopicId,
-            parentId,
-            rootId,
-            dbname,
-            subjectName,
-            // ✅ CRITICAL: Pass path components
-            standard: standard || 'no_standard',
-            lessonName: lessonName || subtopic,
-            topicName: topicName || subtopic,
-            // ✅ PASS LOGO SIZE
-            logoSize: logoSize
-        }).catch(error => {
-            console.error(`❌ Background job ${jobId} failed:`, error);
-            jobStatus.set(jobId, {
-                ...jobStatus.get(jobId),
-                status: 'failed',
-                error: error.message,
-                failedAt: new Date().toISOString()
-            });
-        });
+    for (let i = 0; i < queue.length; i++) {
+        if (bestIndex === -1) {
+            bestIndex = i;
+            continue;
+        }
 
-    } catch (err) {
-        console.error("❌ Error starting video generation:", err);
-        res.status(500).json({
-            success: false,
-            error: "Failed to start video generation: " + err.message
-        });
+        const a = queue[i];
+        const b = queue[bestIndex];
+        const priorityDiff = JOB_PRIORITIES[a.priority] - JOB_PRIORITIES[b.priority];
+        if (priorityDiff !== 0) {
+            if (priorityDiff > 0) bestIndex = i;
+            continue;
+        }
+
+        const runningDiff = countRunningForTenant(a.dbname, running) - countRunningForTenant(b.dbname, running);
+        if (runningDiff !== 0) {
+            if (runningDiff < 0) bestIndex = i;
+            continue;
+        }
+
+        const servedDiff = (lastServed.get(a.dbname) || 0) - (lastServed.get(b.dbname) || 0);
+        if (servedDiff !== 0) {
+            if (servedDiff < 0) bestIndex = i;
+            continue;
+        }
+
+        if (a.queuedAt < b.queuedAt) bestIndex = i;
     }
-});
 
-// ✅ NEW: Upload logo to D-ID endpoint
-app.post("/api/upload-logo-to-did", async (req, res) => {
-    try {
-        // Using multer for file upload handling
-        const multer = require('multer');
-        const upload = multer({ dest: 'uploads/' });
+    return bestIndex;
+}
 
-        // Handle file upload
-        upload.single('logo')(req, res, async (err) => {
-            if (err) {
-                console.error("❌ Multer error:", err);
-                return res.status(400).json({
-                    success: false,
-                    error: "File upload error: " + err.message
-                });
-            }
+// ✅ Simulates the scheduler to report each queued job's 1-based position
+function getQueueOrder() {
+    const remaining = [...videoQueue];
+    const running = new Map(runningVideoJobs);
+    const lastServed = new Map(tenantLastServed);
+    let sequence = tenantServeSequence;
+    const order = [];
+
+    while (remaining.length > 0) {
+        const index = pickNextJobIndex(remaining, running, lastServed);
+        const [entry] = remaining.splice(index, 1);
+        running.set(entry.jobId, entry.dbname);
+        lastServed.set(entry.dbname, ++sequence);
+        order.push(entry);
+    }
 
-            const { top = "0", left = "-120" } = req.body;
+    return order;
+}
 
-            if (!req.file) {
-                return res.status(400).json({
-                    success: false,
-                    error: "No logo file provided"
-                });
-            }
+function getQueuePosition(jobId) {
+    const order = getQueueOrder();
+    const index = order.findIndex(entry => entry.jobId === jobId);
+    if (index === -1) return null;
+    return { position: index + 1, length: order.length };
+}
 
-            console.log("📁 Received logo file:", req.file.originalname);
-            console.log("📍 Position:", { top, left });
+function enqueueVideoJob(jobId, params, priority = 'normal', queuedAt = new Date()) {
+    videoQueue.push({
+        jobId,
+        params,
+        priority: normalizeJobPriority(priority),
+        dbname: params.dbname || 'professional',
+        queuedAt: new Date(queuedAt).getTime()
+    });
+    console.log(`📥 Queued job ${jobId} (priority: ${priority}, queue length: ${videoQueue.length})`);
+    scheduleVideoJobs();
+}
 
-            try {
-                // Upload to D-ID
-                const uploadResult = await uploadLogoToDID(req.file.path, top, left);
+function scheduleVideoJobs() {
+    while (runningVideoJobs.size < VIDEO_WORKER_CONCURRENCY && videoQueue.length > 0) {
+        const index = pickNextJobIndex(videoQueue, runningVideoJobs, tenantLastServed);
+        const [entry] = videoQueue.splice(index, 1);
 
-                // Clean up temporary file
-                fs.unlink(req.file.path, (unlinkErr) => {
-                    if (unlinkErr) console.warn("⚠️ Failed to delete temp file:", unlinkErr);
-                });
+        runningVideoJobs.set(entry.jobId, entry.dbname);
+        tenantLastServed.set(entry.dbname, ++tenantServeSequence);
+        runQueuedVideoJob(entry);
+    }
+}
 
-                if (uploadResult.success) {
-                    res.json({
-                        success: true,
-                        message: "Logo uploaded successfully to D-ID",
-                        data: uploadResult.data,
-                        position: { top, left }
-                    });
-                } else {
-                    res.status(uploadResult.status || 500).json({
-                        success: false,
-                        error: uploadResult.error,
-                        message: uploadResult.message
-                    });
-                }
+async function runQueuedVideoJob({ jobId, params }) {
+    console.log(`▶️ Starting job ${jobId} (${runningVideoJobs.size}/${VIDEO_WORKER_CONCURRENCY} workers busy)`);
 
-            } catch (uploadError) {
-                // Clean up temporary file
-                fs.unlink(req.file.path, (unlinkErr) => {
-                    if (unlinkErr) console.warn("⚠️ Failed to delete temp file:", unlinkErr);
-                });
+    try {
+        if (isJobCancelled(jobId)) {
+            await finishCancelledJob(jobId);
+            return;
+        }
 
-                console.error("❌ Upload error:", uploadError);
-                res.status(500).json({
-                    success: false,
-                    error: uploadError.message
-                });
-            }
+        await updateJob(jobId, {
+            status: 'processing',
+            progress: 'Starting video generation...',
+            dequeuedAt: new Date()
         });
-
+        await processVideoJob(jobId, params);
     } catch (error) {
-        console.error("❌ Logo upload endpoint error:", error);
-        res.status(500).json({
-            success: false,
-            error: error.message
+        console.error(`❌ Background job ${jobId} failed:`, error);
+        await updateJob(jobId, {
+            status: 'failed',
+            error: error.message,
+            failedAt: new Date()
         });
+    } finally {
+        runningVideoJobs.delete(jobId);
+        cancelledJobIds.delete(jobId);
+        scheduleVideoJobs();
     }
-});
+}
 
-// ✅ Get current logo settings
-app.get("/api/get-did-logo", async (req, res) => {
-    try {
-        console.log("🖼️ Fetching current D-ID logo settings...");
+// ✅ Job cancellation - running jobs check this at each stage of the pipeline
+const cancelledJobIds = new Set();
 
-        const response = await axios.get(
-            "https://api.d-id.com/settings/logo",
-            {
-                headers: {
-                    'Authorization': DID_API_KEY,
-                    'Accept': 'application/json'
-                },
-                timeout: 10000
-            }
-        );
+function isJobCancelled(jobId) {
+    return cancelledJobIds.has(jobId);
+}
 
-        console.log("✅ Logo settings retrieved");
-        res.json({
-            success: true,
-            data: response.data
-        });
+// clipId may be an array for chunked jobs - every clip is cancelled
+async function finishCancelledJob(jobId, clipId = null, providerName = DEFAULT_VIDEO_PROVIDER) {
+    const clipIds = [].concat(clipId || []);
+    const provider = getVideoProvider(providerName);
+    let clipDeleted = clipIds.length > 0;
+    for (const id of clipIds) {
+        clipDeleted = (await provider.cancelClip(id)) && clipDeleted;
+    }
 
-    } catch (error) {
-        console.error("❌ Failed to get logo settings:");
+    cancelledJobIds.delete(jobId);
+    await updateJob(jobId, {
+        status: 'cancelled',
+        progress: 'Cancelled',
+        cancelledAt: new Date(),
+        clipDeleted: clipDeleted
+    });
+    console.log(`🛑 Job ${jobId} cancelled`);
+}
 
-        if (error.response) {
-            console.error("   Status:", error.response.status);
-            console.error("   Data:", error.response.data);
+// ✅ Cancel a video job - safe to call at any stage
+app.post("/api/jobs/:jobId/cancel", async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const job = await getJob(jobId);
 
-            res.status(error.response.status).json({
+        if (!job) {
+            return res.status(404).json({
                 success: false,
-                error: error.response.data,
-                status: error.response.status
+                error: "Job not found",
+                jobId: jobId
             });
-        } else {
-            res.status(500).json({
+        }
+
+        if (job.status === 'cancelled') {
+            return res.json({
+                success: true,
+                jobId: jobId,
+                status: 'cancelled',
+                message: "Job was already cancelled"
+            });
+        }
+
+        if (TERMINAL_JOB_STATUSES.includes(job.status)) {
+            return res.status(409).json({
                 success: false,
-                error: error.message
+                jobId: jobId,
+                status: job.status,
+                error: `Job already ${job.status}, nothing to cancel`
+            });
+        }
+
+        // Still waiting in the queue - drop it straight away
+        const queueIndex = videoQueue.findIndex(entry => entry.jobId === jobId);
+        if (queueIndex !== -1) {
+            videoQueue.splice(queueIndex, 1);
+            await finishCancelledJob(jobId);
+            return res.json({
+                success: true,
+                jobId: jobId,
+                status: 'cancelled',
+                message: "Job removed from the queue"
+            });
+        }
+
+        // Running in this process - the pipeline stops at its next checkpoint
+        if (runningVideoJobs.has(jobId)) {
+            cancelledJobIds.add(jobId);
+            await updateJob(jobId, {
+                cancelRequested: true,
+                cancelRequestedAt: new Date(),
+                progress: 'Cancelling...'
+            });
+            return res.status(202).json({
+                success: true,
+                jobId: jobId,
+                status: 'cancelling',
+                message: "Cancellation requested, the job will stop at its next step"
             });
         }
+
+        // Not owned by any worker (e.g. left over from a crash) - finish it here
+        await finishCancelledJob(jobId, getJobClipIds(job), job.provider);
+        res.json({
+            success: true,
+            jobId: jobId,
+            status: 'cancelled',
+            message: "Job cancelled"
+        });
+    } catch (error) {
+        console.error("❌ Job cancel failed:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to cancel job: " + error.message
+        });
     }
 });
 
-// ✅ Delete current logo
-app.delete("/api/delete-did-logo", async (req, res) => {
+// ✅ Completion webhooks - signed POSTs with retries and a per-job delivery log
+const WEBHOOK_MAX_ATTEMPTS = config.webhookMaxAttempts;
+const WEBHOOK_RETRY_BASE_MS = 5000;
+
+function getWebhookDeliveriesCollection() {
+    return client.db(JOBS_DB_NAME).collection('webhookDeliveries');
+}
+
+function isValidCallbackUrl(callbackUrl) {
     try {
-        console.log("🗑️ Deleting D-ID logo...");
+        const url = new URL(callbackUrl);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (e) {
+        return false;
+    }
+}
 
-        const response = await axios.delete(
-            "https://api.d-id.com/settings/logo",
-            {
-                headers: {
-                    'Authorization': DID_API_KEY,
-                    'Accept': 'application/json'
-                },
-                timeout: 10000
-            }
-        );
+// Signature = HMAC-SHA256 over "<timestamp>.<body>", sent as "sha256=<hex>"
+function signWebhookBody(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
 
-        console.log("✅ Logo deleted successfully");
-        res.json({
-            success: true,
-            message: "Logo deleted successfully",
-            data: response.data
+// Signing secrets are never written to webhookDeliveries - a delivery only names where its
+// secret is read from when it is sent: "job" (the stored job's callbackSecret), "request"
+// (held in memory, for uploads that have no stored job) or "default" (WEBHOOK_SECRET).
+// A "request" delivery still retrying when the server stops can't be signed afterwards and fails.
+const requestWebhookSecrets = new Map();
+
+async function getWebhookSecret(delivery) {
+    if (delivery.secretRef === 'job') {
+        const job = await getJobsCollection().findOne({ jobId: delivery.jobId }, { projection: { callbackSecret: 1 } });
+        return job ? job.callbackSecret : null;
+    }
+    if (delivery.secretRef === 'request') return requestWebhookSecrets.get(delivery.deliveryId) || null;
+    if (delivery.secretRef === 'default') return config.webhookSecret || null;
+    return null;
+}
+
+// `secretOnJob` - the secret is the callbackSecret saved on job `jobId`
+async function sendJobWebhook({ jobId, callbackUrl, callbackSecret, secretOnJob = false, payload }) {
+    try {
+        const deliveryId = `whd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const secretRef = callbackSecret ? (secretOnJob ? 'job' : 'request') : (config.webhookSecret ? 'default' : null);
+        if (secretRef === 'request') {
+            requestWebhookSecrets.set(deliveryId, callbackSecret);
+        }
+
+        await getWebhookDeliveriesCollection().insertOne({
+            deliveryId: deliveryId,
+            jobId: jobId,
+            url: callbackUrl,
+            secretRef: secretRef,
+            event: payload.event,
+            payload: { ...payload, timestamp: new Date().toISOString() },
+            status: 'pending',
+            attempts: [],
+            createdAt: new Date(),
+            expiresAt: new Date(Date.now() + JOB_RETENTION_SECONDS * 1000)
         });
 
+        console.log(`📨 Webhook ${deliveryId} queued for job ${jobId} -> ${callbackUrl}`);
+        attemptWebhookDelivery(deliveryId);
     } catch (error) {
-        console.error("❌ Failed to delete logo:");
+        console.error(`❌ Failed to queue webhook for job ${jobId}:`, error.message);
+    }
+}
 
-        if (error.response) {
-            console.error("   Status:", error.response.status);
-            console.error("   Data:", error.response.data);
+async function attemptWebhookDelivery(deliveryId) {
+    const deliveries = getWebhookDeliveriesCollection();
 
-            res.status(error.response.status).json({
-                success: false,
-                error: error.response.data,
-                status: error.response.status
+    try {
+        const delivery = await deliveries.findOne({ deliveryId: deliveryId });
+        if (!delivery || delivery.status !== 'pending') return;
+
+        const attemptNumber = delivery.attempts.length + 1;
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'AI-Generative-Webhooks',
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': deliveryId,
+            'X-Webhook-Timestamp': timestamp
+        };
+
+        const secret = await getWebhookSecret(delivery);
+        if (delivery.secretRef && !secret) {
+            await deliveries.updateOne(
+                { deliveryId: deliveryId },
+                { $set: { status: 'failed', error: "Signing secret is no longer available", failedAt: new Date() }, $unset: { nextAttemptAt: "" } }
+            );
+            console.error(`❌ Webhook ${deliveryId} failed: its signing secret is no longer available`);
+            return;
+        }
+        if (secret) {
+            headers['X-Webhook-Signature'] = signWebhookBody(secret, timestamp, body);
+        }
+
+        const startedAt = Date.now();
+        const attempt = { attempt: attemptNumber, at: new Date() };
+        let retryable = true;
+
+        try {
+            const response = await axios.post(delivery.url, body, {
+                headers: headers,
+                timeout: 15000,
+                validateStatus: () => true
             });
+
+            attempt.statusCode = response.status;
+            if (response.status >= 200 && response.status < 300) {
+                attempt.durationMs = Date.now() - startedAt;
+                await deliveries.updateOne(
+                    { deliveryId: deliveryId },
+                    { $push: { attempts: attempt }, $set: { status: 'delivered', deliveredAt: new Date() }, $unset: { nextAttemptAt: "" } }
+                );
+                requestWebhookSecrets.delete(deliveryId);
+                console.log(`✅ Webhook ${deliveryId} delivered (HTTP ${response.status})`);
+                return;
+            }
+
+            attempt.error = `HTTP ${response.status}`;
+            // Client errors won't fix themselves, except timeouts and rate limits
+            retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        } catch (requestError) {
+            attempt.error = requestError.message;
+        }
+
+        attempt.durationMs = Date.now() - startedAt;
+
+        if (retryable && attemptNumber < WEBHOOK_MAX_ATTEMPTS) {
+            const delay = WEBHOOK_RETRY_BASE_MS * Math.pow(2, attemptNumber - 1);
+            await deliveries.updateOne(
+                { deliveryId: deliveryId },
+                { $push: { attempts: attempt }, $set: { nextAttemptAt: new Date(Date.now() + delay) } }
+            );
+            console.warn(`⚠️ Webhook ${deliveryId} attempt ${attemptNumber} failed (${attempt.error}), retrying in ${delay}ms`);
+            setTimeout(() => attemptWebhookDelivery(deliveryId), delay);
         } else {
-            res.status(500).json({
-                success: false,
-                error: error.message
-            });
+            await deliveries.updateOne(
+                { deliveryId: deliveryId },
+                { $push: { attempts: attempt }, $set: { status: 'failed', failedAt: new Date() }, $unset: { nextAttemptAt: "" } }
+            );
+            requestWebhookSecrets.delete(deliveryId);
+            console.error(`❌ Webhook ${deliveryId} failed after ${attemptNumber} attempt(s): ${attempt.error}`);
         }
+    } catch (error) {
+        console.error(`❌ Webhook delivery ${deliveryId} error:`, error.message);
     }
-});
+}
 
-// Create uploads directory on startup
-function ensureUploadsDirectory() {
-    const uploadsDir = path.join(__dirname, 'uploads');
-    if (!fs.existsSync(uploadsDir)) {
-        fs.mkdirSync(uploadsDir, { recursive: true });
-        console.log("📁 Created uploads directory:", uploadsDir);
-    } else {
-        console.log("✅ Uploads directory exists:", uploadsDir);
+// ✅ Fire the job's webhook once it reaches a final status
+async function notifyJobWebhook(jobId) {
+    try {
+        // Claim atomically so a job is only ever notified once
+        const job = await getJobsCollection().findOneAndUpdate(
+            { jobId: jobId, callbackUrl: { $nin: [null, ""] }, webhookQueuedAt: { $exists: false } },
+            { $set: { webhookQueuedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+
+        if (!job.value) return;
+
+        await sendJobWebhook({
+            jobId: jobId,
+            callbackUrl: job.value.callbackUrl,
+            callbackSecret: job.value.callbackSecret,
+            secretOnJob: true,
+            payload: {
+                event: `job.${job.value.status}`,
+                jobId: jobId,
+                subtopicId: job.value.subtopicId || null,
+                s3Url: job.value.s3Url || null,
+                s3PathInfo: job.value.s3PathInfo || null,
+                status: job.value.status,
+                error: job.value.error || null
+            }
+        });
+    } catch (error) {
+        console.error(`❌ Failed to notify webhook for job ${jobId}:`, error.message);
     }
 }
-// Call it with your other startup functions
-ensureUploadsDirectory();
 
-// ✅ FIXED: Added logo size control
-async function processVideoJob(jobId, {
-    subtopic,
-    description,
-    questions,
-    presenter_id,
-    subtopicId,
-    parentId,
-    rootId,
-    dbname,
-    subjectName,
-    // ✅ RECEIVE PATH COMPONENTS
-    standard,
-    lessonName,
-    topicName,
-    // ✅ ADD LOGO SIZE PARAMETER
-    logoSize = "small"  // Default to small if not provided
-}) {
-    const MAX_POLLS = 120;
-    
+jobEvents.on('update', (jobId, fields) => {
+    if (TERMINAL_JOB_STATUSES.includes(fields.status)) {
+        notifyJobWebhook(jobId);
+    }
+});
 
+// ✅ Pick up deliveries that were still retrying when the server stopped
+async function resumePendingWebhooks() {
     try {
-        console.log(`🔄 Processing video job ${jobId} for:`, subtopic);
-        console.log(`🎭 Selected presenter: ${presenter_id}`);
-        console.log(`🖼️ Logo size: ${logoSize}`);
-        // ✅ VERIFY PATH COMPONENTS ARE RECEIVED
-        console.log(`📁 S3 Path Components Received:`, {
-            standard: standard || 'no_standard',
-            subject: subjectName,
-            lesson: lessonName || subtopic,
-            topic: topicName || subtopic
-        });
+        const pending = await getWebhookDeliveriesCollection()
+            .find({ status: 'pending' }, { projection: { deliveryId: 1, nextAttemptAt: 1 } })
+            .toArray();
+
+        for (const delivery of pending) {
+            const delay = delivery.nextAttemptAt ? Math.max(0, delivery.nextAttemptAt.getTime() - Date.now()) : 0;
+            setTimeout(() => attemptWebhookDelivery(delivery.deliveryId), delay);
+        }
+
+        if (pending.length > 0) {
+            console.log(`📨 Resumed ${pending.length} pending webhook deliveries`);
+        }
+    } catch (error) {
+        console.error("❌ Failed to resume webhook deliveries:", error.message);
+    }
+}
 
-        const selectedVoice = getVoiceForPresenter(presenter_id);
+// ✅ Webhook delivery log for a job
+app.get("/api/jobs/:jobId/webhooks", async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const deliveries = await getWebhookDeliveriesCollection()
+            .find({ jobId: jobId }, { projection: { _id: 0 } })
+            .sort({ createdAt: 1 })
+            .toArray();
 
-        let cleanScript = description;
-        cleanScript = cleanScript.replace(/<break time="(\d+)s"\/>/g, (match, time) => {
-            return `... [${time} second pause] ...`;
+        res.json({
+            success: true,
+            jobId: jobId,
+            total: deliveries.length,
+            deliveries: deliveries
+        });
+    } catch (error) {
+        console.error("❌ Failed to list webhook deliveries:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to list webhook deliveries"
         });
-        cleanScript = cleanScript.replace(/<[^>]*>/g, '');
+    }
+});
 
-        // Add interactive questions to script
-        if (questions.length > 0) {
-            cleanScript += "\n\nNow, let me ask you some questions to test your understanding. ";
-            cleanScript += "After each question, I'll pause so you can say your answer out loud, and then I'll tell you if you're correct.\n\n";
+// ✅ Orphaned video cleanup - lists everything under S3_BASE_FOLDER and cross-checks it against
+// every stored URL/key in the tenant databases (subtopics, version history, jobs). Objects
+// nothing points at are reported; past the grace period they are deleted unless it's a dry run.
+// Any string that is a stored URL, a playback link or a key under the folder counts as a
+// reference, so renditions, source audio and copied files are covered without listing fields.
+const ORPHAN_GRACE_PERIOD_MS = config.orphanGracePeriodHours * 60 * 60 * 1000;
+// Orphans listed in a run's report - the counts and sizes always cover all of them
+const ORPHAN_REPORT_LIMIT = 1000;
+const SYSTEM_DATABASES = ['admin', 'local', 'config'];
+// Past reports list orphan keys themselves
+const ORPHAN_CLEANUPS_COLLECTION = 'orphanCleanups';
+const ORPHAN_PARTIAL_SCAN_ERROR = "GC_DATABASES lists only some databases, so objects referenced from the others would look orphaned - only dry runs are allowed";
+
+let activeOrphanCleanup = null;
+
+function getOrphanCleanupsCollection() {
+    return client.db(JOBS_DB_NAME).collection(ORPHAN_CLEANUPS_COLLECTION);
+}
 
-            questions.forEach((q, index) => {
-                cleanScript += `Question ${index + 1}: ${q.question} `;
-                cleanScript += `... [5 second pause] ... `;
-                cleanScript += `The correct answer is: ${q.answer}. `;
+function collectStoredKeys(value, keys) {
+    if (typeof value === 'string') {
+        const key = value.startsWith(`${S3_BASE_FOLDER}/`) ? value : keyFromStoredUrl(value);
+        if (key) keys.add(key);
+    } else if (Array.isArray(value)) {
+        value.forEach(item => collectStoredKeys(item, keys));
+    } else if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        Object.values(value).forEach(item => collectStoredKeys(item, keys));
+    }
+}
 
-                if (index === questions.length - 1) {
-                    cleanScript += `Great job answering all the questions! `;
-                } else {
-                    cleanScript += `Let's try the next question. `;
-                }
-            });
-            cleanScript += "Excellent work! You've completed all the practice questions.";
-        }
+// Keys referenced anywhere in the configured databases (all of them when none are configured).
+// The jobs database is always included: it holds the version history and in-flight jobs.
+async function findReferencedKeys() {
+    const databases = config.gcDatabases.length > 0
+        ? config.gcDatabases
+        : (await client.db().admin().listDatabases({ nameOnly: true })).databases
+            .map(database => database.name)
+            .filter(name => !SYSTEM_DATABASES.includes(name));
+    if (!databases.includes(JOBS_DB_NAME)) {
+        databases.push(JOBS_DB_NAME);
+    }
 
-        // ✅ D-ID API configuration with logo size control
-        let requestPayload;
+    const keys = new Set();
+    const scanned = { databases: databases.length, collections: 0, documents: 0 };
 
-        const studioWatermark = {
-            position: "top-right",
-            size: "small"
-        };
+    for (const dbname of databases) {
+        const collections = await getDB(dbname).listCollections({ type: 'collection' }, { nameOnly: true }).toArray();
+        for (const { name } of collections) {
+            if (name.startsWith('system.')) continue;
+            if (dbname === JOBS_DB_NAME && name === ORPHAN_CLEANUPS_COLLECTION) continue;
+            scanned.collections++;
 
-        // For Rian presenter
-        if (presenter_id === "v2_public_Rian_NoHands_WhiteTshirt_Home@fJyZiHrDxU") {
-            requestPayload = {
-                presenter_id: presenter_id,
-                script: {
-                    type: "text",
-                    provider: {
-                        type: "microsoft",
-                        voice_id: selectedVoice
-                    },
-                    input: cleanScript,
-                    ssml: false
-                },
-                // ✅ ADD LOGO SIZE CONTROL
-                logo: {
-                    size: logoSize  // Uses "small", "medium", or "large"
-                    // NO position - uses API setting [-120, 0]
-                },
-                config: {
-                    result_format: "mp4",
-                    width: 1280,
-                    height: 720,
-                    watermark: studioWatermark,
-                    fluency: "high",
-                    captions: {
-                        enabled: true,
-                        language: "en"
-                    }
-                }
-            };
+            for await (const document of getDB(dbname).collection(name).find({})) {
+                scanned.documents++;
+                collectStoredKeys(document, keys);
+            }
         }
-        // For Anita presenter with green screen
-        else if (presenter_id === "v2_public_anita_pink_shirt_green_screen@pw9Otj5BPp") {
-            requestPayload = {
-                presenter_id: presenter_id,
-                script: {
-                    type: "text",
-                    provider: {
-                        type: "microsoft",
-                        voice_id: selectedVoice
-                    },
-                    input: cleanScript,
-                    ssml: false
-                },
-                // ✅ ADD LOGO SIZE CONTROL
-                logo: {
-                    size: logoSize  // Uses "small", "medium", or "large"
-                },
-                background: {
-                    color: "#d4edda"
-                },
-                config: {
-                    result_format: "mp4",
-                    width: 1280,
-                    height: 720,
-                    watermark: studioWatermark,
-                    captions: {
-                        enabled: true,
-                        language: "en"
-                    }
-                }
-            };
+    }
+
+    return { keys, scanned };
+}
+
+function summarizeObjects(objects) {
+    return {
+        count: objects.length,
+        bytes: objects.reduce((total, object) => total + (object.size || 0), 0)
+    };
+}
+
+// Runs one cleanup and records it in orphanCleanups; the report is also returned
+async function runOrphanCleanup(runId, { dryRun = true, gracePeriodMs = ORPHAN_GRACE_PERIOD_MS, trigger = 'api' } = {}) {
+    const runs = getOrphanCleanupsCollection();
+    const cutoff = new Date(Date.now() - gracePeriodMs);
+
+    await runs.insertOne({
+        runId: runId,
+        status: 'running',
+        dryRun: dryRun,
+        trigger: trigger,
+        storage: storage.describe(),
+        prefix: `${S3_BASE_FOLDER}/`,
+        gracePeriodHours: gracePeriodMs / (60 * 60 * 1000),
+        cutoff: cutoff,
+        startedAt: new Date()
+    });
+    console.log(`🧹 Orphan cleanup ${runId} started${dryRun ? ' (dry run)' : ''}`);
+
+    try {
+        if (!dryRun && config.gcDatabases.length > 0) {
+            throw new Error(ORPHAN_PARTIAL_SCAN_ERROR);
         }
-        // For all other presenters (default)
-        else {
-            requestPayload = {
-                presenter_id: presenter_id,
-                script: {
-                    type: "text",
-                    provider: {
-                        type: "microsoft",
-                        voice_id: selectedVoice
-                    },
-                    input: cleanScript,
-                    ssml: false
-                },
-                // ✅ ADD LOGO SIZE CONTROL
-                logo: {
-                    size: logoSize  // Uses "small", "medium", or "large"
-                },
-                background: { color: "#a5d6a7" },
-                config: {
-                    result_format: "mp4",
-                    width: 1280,
-                    height: 720,
-                    watermark: studioWatermark,
-                    captions: {
-                        enabled: true,
-                        language: "en"
-                    }
+
+        // References are gathered first, so an object uploaded mid-run is younger than the cutoff
+        const { keys, scanned } = await findReferencedKeys();
+        const objects = await storage.list(`${S3_BASE_FOLDER}/`, { limit: Infinity });
+
+        // Folder markers from /api/create-s3-folder are never referenced but aren't orphans
+        const orphans = objects.filter(object =>
+            !keys.has(object.key) && !object.key.endsWith(`/${FOLDER_MARKER_NAME}`));
+        const eligible = orphans.filter(object => new Date(object.lastModified) < cutoff);
+
+        const deleted = [];
+        const failed = [];
+        if (!dryRun) {
+            for (const object of eligible) {
+                try {
+                    await withRetry(() => storage.delete(object.key), { label: `Delete ${object.key}` });
+                    deleted.push(object);
+                } catch (error) {
+                    failed.push({ key: object.key, error: error.message });
                 }
-            };
+            }
         }
 
-        console.log("📤 D-ID Request Payload:", JSON.stringify(requestPayload, null, 2));
+        const report = {
+            scanned: { ...scanned, ...summarizeObjects(objects), referencedKeys: keys.size },
+            orphaned: summarizeObjects(orphans),
+            // Past the grace period - what a real run deletes
+            eligible: summarizeObjects(eligible),
+            deleted: summarizeObjects(deleted),
+            failed: failed,
+            orphans: orphans.slice(0, ORPHAN_REPORT_LIMIT).map(object => ({
+                key: object.key,
+                size: object.size,
+                lastModified: object.lastModified,
+                eligible: new Date(object.lastModified) < cutoff
+            })),
+            orphansTruncated: orphans.length > ORPHAN_REPORT_LIMIT
+        };
 
-        // Update job status
-        jobStatus.set(jobId, {
-            ...jobStatus.get(jobId),
-            progress: 'Calling D-ID API...'
+        await runs.updateOne({ runId: runId }, {
+            $set: { status: 'completed', report: report, completedAt: new Date() }
         });
+        console.log(`🧹 Orphan cleanup ${runId}: ${orphans.length} orphaned (${report.orphaned.bytes} bytes), ${deleted.length} deleted, ${failed.length} failed`);
+        return report;
+    } catch (error) {
+        // Nothing is deleted unless every database was read, so a failure here is always safe
+        await runs.updateOne({ runId: runId }, {
+            $set: { status: 'failed', error: error.message, failedAt: new Date() }
+        });
+        throw error;
+    }
+}
 
-        console.log("⏳ Calling D-ID API...");
-        const clipResponse = await axios.post(
-            "https://api.d-id.com/clips",
-            requestPayload,
-            {
-                headers: {
-                    Authorization: DID_API_KEY,
-                    "Content-Type": "application/json"
-                },
-                timeout: 120000,
-            }
-        );
-
-        const clipId = clipResponse.data.id;
-        console.log("⏳ Clip created with ID:", clipId);
+// Starts a run in the background; null while another one is still going
+function startOrphanCleanup(options) {
+    if (activeOrphanCleanup) return null;
 
-        // Update job status
-        jobStatus.set(jobId, {
-            ...jobStatus.get(jobId),
-            progress: 'Video rendering...',
-            clipId: clipId
+    const runId = `gc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    activeOrphanCleanup = runId;
+    runOrphanCleanup(runId, options)
+        .catch(error => console.error(`❌ Orphan cleanup ${runId} failed:`, error.message))
+        .finally(() => {
+            activeOrphanCleanup = null;
         });
+    return runId;
+}
 
-        let status = clipResponse.data.status;
-        let videoUrl = "";
-        let pollCount = 0;
+function scheduleOrphanCleanup() {
+    if (config.orphanGcIntervalHours <= 0) return;
 
-        // Poll for completion
-        while (status !== "done" && status !== "error" && pollCount < MAX_POLLS) {
-            await new Promise(r => setTimeout(r, 3000));
-            pollCount++;
+    const dryRun = !config.orphanGcDelete || config.gcDatabases.length > 0;
+    if (config.orphanGcDelete && dryRun) {
+        console.warn(`⚠️ ORPHAN_GC_DELETE is ignored: ${ORPHAN_PARTIAL_SCAN_ERROR}`);
+    }
 
-            try {
-                const poll = await axios.get(`https://api.d-id.com/clips/${clipId}`, {
-                    headers: { Authorization: DID_API_KEY },
-                    timeout: 30000,
-                });
+    const interval = setInterval(() => {
+        if (!startOrphanCleanup({ dryRun: dryRun, trigger: 'schedule' })) {
+            console.log("🧹 Scheduled orphan cleanup skipped, a run is still in progress");
+        }
+    }, config.orphanGcIntervalHours * 60 * 60 * 1000);
+    interval.unref();
+    console.log(`🧹 Orphan cleanup scheduled every ${config.orphanGcIntervalHours}h${dryRun ? ' (dry run)' : ''}`);
+}
 
-                status = poll.data.status;
-                console.log(`📊 Poll ${pollCount}/${MAX_POLLS}:`, status);
+// ✅ Start a cleanup - a dry run unless the body says { "dryRun": false }
+app.post("/api/storage/orphans/cleanup", async (req, res) => {
+    const { dryRun = true, gracePeriodHours } = req.body || {};
 
-                // Update job status with progress
-                jobStatus.set(jobId, {
-                    ...jobStatus.get(jobId),
-                    progress: `Processing... (${pollCount}/${MAX_POLLS})`,
-                    currentStatus: status
-                });
+    if (typeof dryRun !== 'boolean') {
+        return res.status(400).json({ success: false, error: "dryRun must be true or false" });
+    }
 
-                if (status === "done") {
-                    videoUrl = poll.data.result_url;
-                    console.log("✅ Video generation completed:", videoUrl);
-
-                    // ✅ AUTOMATICALLY UPLOAD TO S3 WITH PATH COMPONENTS
-                    if (videoUrl && videoUrl.includes('d-id.com')) {
-                        console.log("☁️ Starting automatic S3 upload with path components...");
-
-                        jobStatus.set(jobId, {
-                            ...jobStatus.get(jobId),
-                            progress: 'Uploading to AWS S3...'
-                        });
-
-                        try {
-                            // Generate unique filename for S3
-                            const timestamp = Date.now();
-                            const safeSubtopicName = subtopic.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 50);
-                            const filename = `video_${safeSubtopicName}_${timestamp}.mp4`;
-
-                            console.log("📄 Uploading to S3 with filename:", filename);
-
-                            // ✅ CRITICAL FIX: Prepare path components for S3
-                            const pathComponents = {
-                                standard: standard || 'no_standard',
-                                subject: subjectName,
-                                lesson: lessonName || subtopic,
-                                topic: topicName || subtopic
-                            };
-
-                            console.log("📁 S3 Path Components:", pathComponents);
-                            console.log("📍 Full S3 Path will be:",
-                                `subtopics/aivideospath/${pathComponents.standard}/${pathComponents.subject}/${pathComponents.lesson}/${pathComponents.topic}/${filename}`);
-
-                            // ✅ CRITICAL FIX: Pass path components to uploadToS3
-                            const uploadResult = await uploadToS3(videoUrl, filename, pathComponents);
-                            const s3Url = uploadResult.s3Url;
-                            const pathInfo = uploadResult.pathInfo;
-
-                            console.log("✅ S3 Upload successful!");
-                            console.log("📁 S3 Console:", pathInfo.consoleUrl);
-                            console.log("📍 Full S3 Path:", pathInfo.fullPath);
-                            console.log("🔗 S3 URL:", s3Url);
-
-                            // ✅ AUTOMATICALLY SAVE S3 URL TO DATABASE
-                            if (s3Url && subtopicId) {
-                                console.log("💾 Automatically saving S3 URL to database...");
-
-                                jobStatus.set(jobId, {
-                                    ...jobStatus.get(jobId),
-                                    progress: 'Saving to database...'
-                                });
-
-                                // Save to database
-                                const dbSaveResult = await saveVideoToDatabase(s3Url, subtopicId, dbname, subjectName);
-
-                                console.log("📊 Database save result:", dbSaveResult);
-
-                                // ✅ FINAL: Update job status with path info
-                                jobStatus.set(jobId, {
-                                    status: 'completed',
-                                    subtopic: subtopic,
-                                    videoUrl: s3Url,
-                                    completedAt: new Date(),
-                                    questions: questions.length,
-                                    presenter: presenter_id,
-                                    storedIn: 'aws_s3',
-                                    s3PathInfo: pathInfo,
-                                    databaseUpdated: dbSaveResult.success,
-                                    updateMethod: dbSaveResult.updateMethod,
-                                    collection: dbSaveResult.collection,
-                                    s3Url: s3Url,
-                                    databaseResult: dbSaveResult
-                                });
-
-                            } else {
-                                console.log("⚠️ No subtopicId provided, cannot save to database");
-                                jobStatus.set(jobId, {
-                                    status: 'completed',
-                                    subtopic: subtopic,
-                                    videoUrl: s3Url,
-                                    completedAt: new Date(),
-                                    questions: questions.length,
-                                    presenter: presenter_id,
-                                    storedIn: 'aws_s3',
-                                    s3PathInfo: pathInfo,
-                                    databaseUpdated: false,
-                                    note: 'No subtopicId provided'
-                                });
-                            }
-                        } catch (uploadError) {
-                            console.error("❌ S3 upload failed:", uploadError);
-
-                            // Update job status with error
-                            jobStatus.set(jobId, {
-                                status: 'failed',
-                                subtopic: subtopic,
-                                error: uploadError.message,
-                                failedAt: new Date()
-                            });
-                        }
+    const graceHours = gracePeriodHours === undefined ? config.orphanGracePeriodHours : Number(gracePeriodHours);
+    if (!Number.isFinite(graceHours) || graceHours < 0) {
+        return res.status(400).json({ success: false, error: "gracePeriodHours must be a number of hours, 0 or more" });
+    }
+    // Deleting brand-new objects could race an upload that is about to be saved
+    if (!dryRun && graceHours < 1) {
+        return res.status(400).json({ success: false, error: "A deleting run needs a grace period of at least 1 hour" });
+    }
+    if (!dryRun && config.gcDatabases.length > 0) {
+        return res.status(400).json({ success: false, error: ORPHAN_PARTIAL_SCAN_ERROR });
+    }
 
-                    } else {
-                        // If video URL is not from D-ID, just use it as is
-                        jobStatus.set(jobId, {
-                            status: 'completed',
-                            subtopic: subtopic,
-                            videoUrl: videoUrl,
-                            completedAt: new Date(),
-                            questions: questions.length,
-                            presenter: presenter_id,
-                            storedIn: 'unknown'
-                        });
-                    }
+    const runId = startOrphanCleanup({ dryRun, gracePeriodMs: graceHours * 60 * 60 * 1000 });
+    if (!runId) {
+        return res.status(409).json({
+            success: false,
+            error: "An orphan cleanup is already running",
+            runId: activeOrphanCleanup
+        });
+    }
 
-                    break;
+    res.status(202).json({
+        success: true,
+        runId: runId,
+        dryRun: dryRun,
+        gracePeriodHours: graceHours,
+        check_status: `GET /api/storage/orphans/cleanup/${runId}`
+    });
+});
 
-                } else if (status === "error") {
-                    throw new Error("Clip generation failed: " + (poll.data.error?.message || "Unknown error"));
-                }
-            } catch (pollError) {
-                console.warn(`⚠️ Poll ${pollCount} failed:`, pollError.message);
-            }
+app.get("/api/storage/orphans/cleanup", async (req, res) => {
+    try {
+        const runs = await getOrphanCleanupsCollection()
+            .find({}, { projection: { _id: 0, 'report.orphans': 0 } })
+            .sort({ startedAt: -1 })
+            .limit(20)
+            .toArray();
+
+        res.json({ success: true, running: activeOrphanCleanup, runs: runs });
+    } catch (error) {
+        console.error("❌ Failed to list orphan cleanups:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get("/api/storage/orphans/cleanup/:runId", async (req, res) => {
+    try {
+        const run = await getOrphanCleanupsCollection()
+            .findOne({ runId: req.params.runId }, { projection: { _id: 0 } });
+
+        if (!run) {
+            return res.status(404).json({ success: false, error: "Cleanup run not found" });
         }
+        res.json({ success: true, run: run });
+    } catch (error) {
+        console.error("❌ Failed to get orphan cleanup:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ✅ Resume jobs whose D-ID clip was still rendering when the server stopped
+async function resumeInFlightJobs() {
+    try {
+        const unfinished = await getJobsCollection()
+            .find({ status: { $in: ['queued', 'processing'] } }, { projection: { _id: 0 } })
+            .sort({ queuedAt: 1, startedAt: 1 })
+            .toArray();
 
-        if (status !== "done") {
-            throw new Error(`Video generation timeout after ${pollCount} polls`);
+        if (unfinished.length === 0) {
+            return;
         }
 
+        console.log(`♻️ Found ${unfinished.length} unfinished job(s) from a previous run`);
+
+        for (const job of unfinished) {
+            // Cancelled before the restart but never finished cancelling
+            if (job.cancelRequested) {
+                await finishCancelledJob(job.jobId, getJobClipIds(job), job.provider);
+                continue;
+            }
+
+            // Not yet sent to D-ID - put it back in the queue
+            if (!job.clipId && job.jobParams) {
+                await updateJob(job.jobId, {
+                    status: 'queued',
+                    progress: 'Waiting in queue...'
+                });
+                enqueueVideoJob(job.jobId, job.jobParams, job.priority, job.queuedAt || job.startedAt);
+                continue;
+            }
+
+            // Without a clipId or stored params there is nothing to poll or re-run
+            if (!job.clipId) {
+                console.log(`⚠️ Job ${job.jobId} has no clipId, marking as failed`);
+                await updateJob(job.jobId, {
+                    status: 'failed',
+                    error: 'Server restarted before the D-ID clip was created',
+                    failedAt: new Date()
+                });
+                continue;
+            }
+
+            console.log(`♻️ Resuming job ${job.jobId} (clip ${job.clipId})`);
+            // Already rendering on D-ID, so it takes a worker slot straight away
+            runningVideoJobs.set(job.jobId, job.dbname || 'professional');
+            await updateJob(job.jobId, {
+                progress: 'Resuming after server restart...',
+                resumedAt: new Date(),
+                resumeCount: (job.resumeCount || 0) + 1
+            });
+
+            // Always poll at least once: the stored result_url may have expired,
+            // and a clip that was "done" may not have been uploaded yet.
+            pollClipAndSave(job.jobId, job.clipId, {
+                providerName: job.provider,
+                language: job.language,
+                audio: job.audio || null,
+                scriptHash: job.scriptHash || null,
+                createdBy: job.createdBy || null,
+                outputPresets: job.outputPresets || DEFAULT_OUTPUT_PRESETS,
+                subtopic: job.subtopic,
+                questionCount: job.questions || 0,
+                presenter_id: job.presenter,
+                subtopicId: job.subtopicId,
+                dbname: job.dbname,
+                subjectName: job.subjectName,
+                standard: job.standard,
+                lessonName: job.lessonName,
+                topicName: job.topicName
+            }).catch(error => {
+                console.error(`❌ Resumed job ${job.jobId} failed:`, error);
+                return updateJob(job.jobId, {
+                    status: 'failed',
+                    error: error.message,
+                    errorClass: error.retryable ? 'retryable' : 'fatal',
+                    failedAt: new Date()
+                });
+            }).finally(() => {
+                runningVideoJobs.delete(job.jobId);
+                cancelledJobIds.delete(job.jobId);
+                scheduleVideoJobs();
+            });
+        }
     } catch (error) {
-        console.error("❌ Video generation failed:", error);
-        jobStatus.set(jobId, {
-            ...jobStatus.get(jobId),
-            status: 'failed',
-            error: error.message,
-            failedAt: new Date()
-        });
+        console.error("❌ Failed to resume in-flight jobs:", error.message);
     }
 }
 
 // ✅ ADD THIS: IMPROVED Job Status Endpoint
-app.get("/api/job-status/:jobId", (req, res) => {
+app.get("/api/job-status/:jobId", async (req, res) => {
     try {
         const { jobId } = req.params;
-        const status = jobStatus.get(jobId);
+        const status = await getJob(jobId);
 
         if (!status) {
             return res.status(404).json({
@@ -2267,18 +6820,21 @@ app.get("/api/job-status/:jobId", (req, res) => {
         const now = new Date();
         const elapsedSeconds = Math.floor((now - startedAt) / 1000);
 
-        // Clean up old completed/failed jobs (older than 1 hour)
-        if (status.status === 'completed' || status.status === 'failed') {
-            if (elapsedSeconds > 3600) {
-                jobStatus.delete(jobId);
-            }
-        }
+        // Old completed/failed jobs are removed by the TTL index on expiresAt
 
-        res.json({
+        const response = {
             success: true,
             ...status,
             elapsed_seconds: elapsedSeconds
-        });
+        };
+
+        if (status.status === 'queued') {
+            const queueInfo = getQueuePosition(jobId);
+            response.queue_position = queueInfo ? queueInfo.position : null;
+            response.queue_length = videoQueue.length;
+        }
+
+        res.json(response);
     } catch (error) {
         console.error("❌ Job status check failed:", error);
         res.status(500).json({
@@ -2288,9 +6844,101 @@ app.get("/api/job-status/:jobId", (req, res) => {
     }
 });
 
+// ✅ Server-Sent Events stream of job progress, ends with a "done" event
+app.get("/api/job-status/:jobId/stream", async (req, res) => {
+    const { jobId } = req.params;
+    let job;
+
+    try {
+        job = await getJob(jobId);
+    } catch (error) {
+        console.error("❌ Job stream lookup failed:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Failed to check job status"
+        });
+    }
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: "Job not found",
+            jobId: jobId
+        });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Current snapshot first, so late subscribers are up to date
+    sendEvent('progress', { jobId, ...job });
+
+    if (TERMINAL_JOB_STATUSES.includes(job.status)) {
+        sendEvent('done', { jobId, ...job });
+        return res.end();
+    }
+
+    let finished = false;
+
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        jobEvents.removeListener(`job:${jobId}`, onUpdate);
+    };
+
+    const finish = async (fallback) => {
+        if (finished) return;
+        finished = true;
+        cleanup();
+        try {
+            sendEvent('done', { jobId, ...(await getJob(jobId)) });
+        } catch (error) {
+            sendEvent('done', { jobId, ...fallback });
+        }
+        res.end();
+    };
+
+    const onUpdate = (fields) => {
+        sendEvent('progress', { jobId, ...fields });
+
+        if (TERMINAL_JOB_STATUSES.includes(fields.status)) {
+            finish(fields);
+        }
+    };
+
+    // Keep proxies from closing the stream, and catch a finish that happened
+    // while the snapshot above was being read
+    const heartbeat = setInterval(async () => {
+        res.write(': keep-alive\n\n');
+        try {
+            const latest = await getJob(jobId);
+            if (latest && TERMINAL_JOB_STATUSES.includes(latest.status)) {
+                finish(latest);
+            }
+        } catch (error) {
+            console.warn(`⚠️ Job stream check failed for ${jobId}:`, error.message);
+        }
+    }, 15000);
+
+    jobEvents.on(`job:${jobId}`, onUpdate);
+    req.on('close', () => {
+        finished = true;
+        cleanup();
+    });
+});
+
 // ✅ WORKING SOLUTION: S3 Upload with Direct MongoDB Save - Updated for custom description
 // ✅ WORKING SOLUTION: S3 Upload with Direct MongoDB Save - FIXED for special characters
 app.post("/api/upload-to-s3-and-save", async (req, res) => {
+    let idempotencyKey = null;
+
     try {
         const {
             videoUrl,
@@ -2304,10 +6952,25 @@ app.post("/api/upload-to-s3-and-save", async (req, res) => {
             // ✅ CRITICAL: Get path components from request body
             standard,
             lessonName,
-            topicName
+            topicName,
+            // Optional completion webhook
+            callbackUrl,
+            callbackSecret,
+            // User id or email, shown in the subtopic's video history
+            createdBy
         } = req.body;
 
         console.log("💾 SAVE LESSON: Starting S3 upload with dynamic path");
+
+        if (callbackUrl && !isValidCallbackUrl(callbackUrl)) {
+            return res.status(400).json({
+                success: false,
+                error: "callbackUrl must be an http(s) URL"
+            });
+        }
+
+        // Identifies this upload in the webhook payload and delivery log
+        const jobId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         
         // ✅ FIXED: Decode and sanitize inputs
         const decodedSubtopic = subtopic ? decodeURIComponent(subtopic) : 'untitled';
@@ -2336,6 +6999,31 @@ app.post("/api/upload-to-s3-and-save", async (req, res) => {
             });
         }
 
+        const requestHash = hashScript(req.body);
+        idempotencyKey = buildIdempotencyKey(req, 'upload', [subtopicId, hashScript(dbname, subjectName, videoUrl, customDescription)]);
+        const existing = await claimIdempotencyKey(idempotencyKey, requestHash);
+
+        if (isIdempotencyKeyMismatch(idempotencyKey, existing, requestHash)) {
+            idempotencyKey = null;
+            return res.status(422).json({ success: false, error: IDEMPOTENCY_MISMATCH_ERROR });
+        }
+
+        if (existing) {
+            const replayKey = idempotencyKey;
+            idempotencyKey = null;
+
+            if (existing.response) {
+                console.log(`♻️ Idempotent replay of upload for key ${replayKey}`);
+                res.set('Idempotent-Replayed', 'true');
+                return res.json({ ...existing.response, idempotent_replay: true });
+            }
+
+            return res.status(409).json({
+                success: false,
+                error: "An identical upload is already in progress"
+            });
+        }
+
         // ✅ CRITICAL: Prepare path components for S3 with decoded values
         const pathComponents = {
             standard: standard || 'no_standard',
@@ -2367,8 +7055,28 @@ app.post("/api/upload-to-s3-and-save", async (req, res) => {
 
         } catch (uploadError) {
             console.error("❌ S3 upload failed:", uploadError);
+
+            if (callbackUrl) {
+                sendJobWebhook({
+                    jobId,
+                    callbackUrl,
+                    callbackSecret,
+                    payload: {
+                        event: 'job.failed',
+                        jobId: jobId,
+                        subtopicId: subtopicId,
+                        s3Url: null,
+                        s3PathInfo: null,
+                        status: 'failed',
+                        error: "S3 upload failed: " + uploadError.message
+                    }
+                });
+            }
+
+            await releaseIdempotencyKey(idempotencyKey);
             return res.status(500).json({
                 success: false,
+                job_id: jobId,
                 error: "S3 upload failed: " + uploadError.message,
                 received_path_components: pathComponents
             });
@@ -2415,13 +7123,12 @@ app.post("/api/upload-to-s3-and-save", async (req, res) => {
         let mongoSaveResult = null;
 
         try {
-            mongoSaveResult = await saveVideoToDatabase(
-                s3Url,
-                subtopicId,
-                dbname,
-                subjectName,
-                customDescription
-            );
+            mongoSaveResult = await saveVideoVersion(s3Url, subtopicId, dbname, subjectName, {
+                customDescription,
+                source: 'upload',
+                jobId: jobId,
+                createdBy: createdBy
+            });
             console.log("📊 MongoDB save result:", mongoSaveResult);
         } catch (mongoError) {
             console.error("❌ MongoDB direct update error:", mongoError.message);
@@ -2436,15 +7143,33 @@ app.post("/api/upload-to-s3-and-save", async (req, res) => {
         const dbUpdated = springBootSuccess || (mongoSaveResult && mongoSaveResult.success);
         const descriptionSaved = springBootSuccess || (mongoSaveResult && mongoSaveResult.customDescriptionSaved);
 
-        res.json({
+        if (callbackUrl) {
+            sendJobWebhook({
+                jobId,
+                callbackUrl,
+                callbackSecret,
+                payload: {
+                    event: 'job.completed',
+                    jobId: jobId,
+                    subtopicId: subtopicId,
+                    s3Url: s3Url,
+                    s3PathInfo: pathInfo,
+                    status: 'completed',
+                    error: dbUpdated ? null : "Video uploaded to S3 but database save failed"
+                }
+            });
+        }
+
+        const response = {
             success: true,
+            job_id: jobId,
             message: dbUpdated ?
                 "✅ Video uploaded to S3 and saved to database" :
                 "⚠️ Video uploaded to S3 but database save failed",
             s3_url: s3Url,
             s3_path_info: pathInfo,
             s3_console_url: pathInfo.consoleUrl,
-            stored_in: "aws_s3",
+            stored_in: storage.storedIn,
             database_updated: dbUpdated,
             custom_description_saved: descriptionSaved,
             update_method: springBootSuccess ? "spring_boot" : (mongoSaveResult?.success ? "mongodb_direct" : "failed"),
@@ -2453,12 +7178,18 @@ app.post("/api/upload-to-s3-and-save", async (req, res) => {
             subject: pathInfo.subject,
             lesson: pathInfo.lesson,
             topic: pathInfo.topic,
-            full_s3_path: `s3://${S3_BUCKET_NAME}/${pathInfo.fullPath}`,
+            full_s3_path: storage.location(pathInfo.fullPath),
             timestamp: new Date().toISOString()
-        });
+        };
+
+        await completeIdempotencyKey(idempotencyKey, { jobId: jobId, response: response });
+        res.json(response);
 
     } catch (error) {
         console.error("❌ Error in upload-to-s3-and-save:", error);
+        if (idempotencyKey) {
+            await releaseIdempotencyKey(idempotencyKey);
+        }
         res.status(500).json({
             success: false,
             error: "Failed to upload and save: " + error.message
@@ -2469,7 +7200,7 @@ app.post("/api/upload-to-s3-and-save", async (req, res) => {
 // ✅ IMPROVED: Recursive update endpoint
 app.put("/api/updateSubtopicVideoRecursive", async (req, res) => {
     try {
-        const { subtopicId, parentId, aiVideoUrl, dbname = "professional", subjectName } = req.body;
+        const { subtopicId, parentId, aiVideoUrl, dbname = "professional", subjectName, createdBy } = req.body;
 
         console.log("🔄 Recursive update for subtopic:", { subtopicId, parentId, aiVideoUrl, dbname, subjectName });
 
@@ -2480,7 +7211,10 @@ app.put("/api/updateSubtopicVideoRecursive", async (req, res) => {
         }
 
         // Use the same save function
-        const saveResult = await saveVideoToDatabase(aiVideoUrl, subtopicId, dbname, subjectName);
+        const saveResult = await saveVideoVersion(aiVideoUrl, subtopicId, dbname, subjectName, {
+            source: 'manual',
+            createdBy: createdBy
+        });
 
         const response = {
             status: "ok",
@@ -2506,9 +7240,9 @@ app.get("/api/debug-did-connection", async (req, res) => {
     try {
         console.log("🔍 Testing D-ID API connection...");
 
-        const response = await axios.get("https://api.d-id.com/presenters", {
+        const response = await axios.get(`${DID_API_URL}/presenters`, {
             headers: {
-                Authorization: `Basic ${Buffer.from(process.env.DID_API_KEY).toString("base64")}`,
+                Authorization: DID_API_KEY,
                 'Accept': 'application/json'
             },
             timeout: 10000
@@ -2533,7 +7267,7 @@ app.get("/api/debug-did-connection", async (req, res) => {
 // ✅ Original update endpoint for backward compatibility
 app.put("/api/updateSubtopicVideo", async (req, res) => {
     try {
-        const { subtopicId, parentId, aiVideoUrl, dbname = "professional", subjectName } = req.body;
+        const { subtopicId, parentId, aiVideoUrl, dbname = "professional", subjectName, createdBy } = req.body;
 
         console.log("🔄 Original update for subtopic:", { subtopicId, parentId, aiVideoUrl, dbname, subjectName });
 
@@ -2544,7 +7278,10 @@ app.put("/api/updateSubtopicVideo", async (req, res) => {
         }
 
         // Use the same save function
-        const saveResult = await saveVideoToDatabase(aiVideoUrl, subtopicId, dbname, subjectName);
+        const saveResult = await saveVideoVersion(aiVideoUrl, subtopicId, dbname, subjectName, {
+            source: 'manual',
+            createdBy: createdBy
+        });
 
         res.json({
             status: "ok",
@@ -2753,12 +7490,11 @@ app.get("/api/getLatestSubtopic/:subtopicId", async (req, res) => {
 app.get("/api/debug-s3", async (req, res) => {
     try {
         const s3Info = {
-            bucket: S3_BUCKET_NAME,
-            region: process.env.AWS_REGION,
+            ...storage.describe(),
             folder: S3_BASE_FOLDER,
             hasAccessKey: !!process.env.AWS_ACCESS_KEY_ID,
             hasSecretKey: !!process.env.AWS_SECRET_ACCESS_KEY,
-            example_url: `https://${S3_BUCKET_NAME}.s3.${process.env.AWS_REGION || 'us-east-1'}.amazonaws.com/${S3_BASE_FOLDER}filename.mp4`
+            example_url: storage.url(`${S3_BASE_FOLDER}/filename.mp4`)
         };
 
         res.json(s3Info);
@@ -2766,24 +7502,39 @@ app.get("/api/debug-s3", async (req, res) => {
         res.json({
             error: "S3 configuration check failed",
             message: error.message,
-            bucket: S3_BUCKET_NAME,
-            region: process.env.AWS_REGION
+            storage: config.storageBackend
         });
     }
 });
 
-// ✅ NEW: List all active jobs
-app.get("/api/jobs", (req, res) => {
+// ✅ NEW: List jobs - filter by status, dbname, subjectName, subtopicId, presenter,
+// batchId and from/to (startedAt); sort=startedAt|updatedAt, order=asc|desc, limit, cursor
+app.get("/api/jobs", async (req, res) => {
     try {
-        const jobs = Array.from(jobStatus.entries()).map(([jobId, status]) => ({
-            jobId,
-            ...status
-        }));
+        const { filter, error } = buildJobFilter(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, error: error });
+        }
+
+        const sortField = JOB_SORT_FIELDS.includes(req.query.sort) ? req.query.sort : 'startedAt';
+        const sortOrder = req.query.order === 'asc' ? 1 : -1;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+        let cursor = null;
+        if (req.query.cursor) {
+            cursor = decodeJobCursor(req.query.cursor);
+            if (!cursor) {
+                return res.status(400).json({ success: false, error: "Invalid cursor" });
+            }
+        }
+
+        const { jobs, nextCursor } = await findJobs(filter, { sortField, sortOrder, limit, cursor });
 
         res.json({
             success: true,
             total: jobs.length,
-            jobs: jobs
+            jobs: jobs,
+            next_cursor: nextCursor
         });
     } catch (error) {
         console.error("❌ Failed to list jobs:", error);
@@ -2794,6 +7545,45 @@ app.get("/api/jobs", (req, res) => {
     }
 });
 
+// ✅ Aggregate stats over the same filters as /api/jobs
+app.get("/api/jobs/summary", async (req, res) => {
+    try {
+        const { filter, error } = buildJobFilter(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, error: error });
+        }
+
+        const summary = await summarizeJobs(filter);
+
+        res.json({
+            success: true,
+            ...summary
+        });
+    } catch (error) {
+        console.error("❌ Failed to summarize jobs:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to summarize jobs"
+        });
+    }
+});
+
+// ✅ Current state of the video job queue
+app.get("/api/queue", (req, res) => {
+    res.json({
+        success: true,
+        workers: VIDEO_WORKER_CONCURRENCY,
+        running: Array.from(runningVideoJobs.entries()).map(([jobId, dbname]) => ({ jobId, dbname })),
+        queued: getQueueOrder().map((entry, index) => ({
+            position: index + 1,
+            jobId: entry.jobId,
+            dbname: entry.dbname,
+            priority: entry.priority,
+            queuedAt: new Date(entry.queuedAt)
+        }))
+    });
+});
+
 // ✅ NEW: Test endpoint to verify database connection and find subtopic
 app.get("/api/find-subtopic/:subtopicId", async (req, res) => {
     try {
@@ -2885,6 +7675,8 @@ app.get("/health", (req, res) => {
         status: "OK",
         timestamp: new Date().toISOString(),
         service: "Node.js AI Video Backend with AWS S3 Storage",
+        // Needed to stitch long scripts; null until the startup check finishes
+        ffmpeg: ffmpegAvailable,
         endpoints: [
             "POST /generate-and-upload",
             "POST /api/upload-to-s3-and-save",
@@ -2896,7 +7688,40 @@ app.get("/health", (req, res) => {
             "GET /api/debug-subtopic/:id",
             "GET /api/debug-s3",
             "GET /api/job-status/:jobId",
+            "GET /api/job-status/:jobId/stream",
             "GET /api/jobs",
+            "GET /api/jobs/summary",
+            "GET /api/queue",
+            "POST /api/jobs/:jobId/cancel",
+            "GET /api/jobs/:jobId/webhooks",
+            "POST /api/batch-generate",
+            "GET /api/batches/:batchId",
+            "GET /api/presenters",
+            "GET /api/output-presets",
+            "GET /api/presenters/:presenterId",
+            "POST /api/presenters",
+            "PUT /api/presenters/:presenterId",
+            "DELETE /api/presenters/:presenterId",
+            "GET /api/question-templates",
+            "GET /api/question-templates/:templateId",
+            "POST /api/question-templates",
+            "PUT /api/question-templates/:templateId",
+            "DELETE /api/question-templates/:templateId",
+            "GET /api/themes",
+            "GET /api/themes/resolve",
+            "GET /api/themes/:themeId",
+            "POST /api/themes",
+            "PUT /api/themes/:themeId",
+            "DELETE /api/themes/:themeId",
+            "GET /api/subtopics/:subtopicId/video-url",
+            "GET /api/subtopics/:subtopicId/versions",
+            "GET /api/subtopics/:subtopicId/versions/:version",
+            "POST /api/subtopics/:subtopicId/versions/:version/rollback",
+            "POST /api/storage/orphans/cleanup",
+            "GET /api/storage/orphans/cleanup",
+            "GET /api/storage/orphans/cleanup/:runId",
+            "GET /api/media/play/:key",
+            "POST /api/storage/private-migration",
             "GET /health"
         ]
     });
@@ -2947,7 +7772,8 @@ app.use("*", (req, res) => {
 ensureAssetsDirectory();
 app.listen(PORT, "0.0.0.0", () => {
     console.log(`✅ Node.js Server running on http://0.0.0.0:${PORT}`);
-    console.log(`☁️ AWS S3 Storage Enabled: Videos will be saved to ${S3_BUCKET_NAME}/${S3_BASE_FOLDER}/[standard]/[subject]/[lesson]/[topic]/`);
+    checkFfmpeg();
+    console.log(`☁️ ${storage.label} enabled: Videos will be saved to ${storage.location(S3_BASE_FOLDER)}/[standard]/[subject]/[lesson]/[topic]/`);
     console.log(`✅ Available Endpoints:`);
     console.log(`   POST /generate-and-upload (Async - No 504 errors)`);
     console.log(`   POST /api/upload-to-s3-and-save`);
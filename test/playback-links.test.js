@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('node:child_process');
+const crypto = require('node:crypto');
+const os = require('node:os');
+const path = require('node:path');
+
+const ROOT = path.join(__dirname, '..');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Starts server.js with private videos on local storage, its clock moved `clockOffsetMs` ahead.
+// There is no MongoDB behind it - only routes that don't touch the database can be called.
+function startServer({ secret, clockOffsetMs = 0 }) {
+    const port = 39000 + Math.floor(Math.random() * 1000);
+    const child = spawn(process.execPath, [
+        '-e',
+        `const now = Date.now; Date.now = () => now() + ${clockOffsetMs}; require('./server.js');`
+    ], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            MONGO_URI: 'mongodb://127.0.0.1:1/test',
+            STORAGE_BACKEND: 'local',
+            LOCAL_STORAGE_DIR: os.tmpdir(),
+            PUBLIC_BASE_URL: `http://127.0.0.1:${port}`,
+            PRIVATE_VIDEOS: 'true',
+            PLAYBACK_URL_SECRET: secret,
+            USE_FAKE_DID: 'true'
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Server did not start')), 15000);
+        child.stdout.on('data', chunk => {
+            if (String(chunk).includes('Server running')) {
+                clearTimeout(timer);
+                resolve({ baseUrl: `http://127.0.0.1:${port}`, stop: () => child.kill() });
+            }
+        });
+        child.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}`));
+        });
+    });
+}
+
+// A link as saved in aiVideoUrl - signed over the key alone
+function storedLink(baseUrl, key, secret) {
+    const sig = crypto.createHmac('sha256', secret).update(key).digest('base64url');
+    return `${baseUrl}/api/media/play/${key}?sig=${sig}`;
+}
+
+test('a stored playback link still redirects long after it was saved', async () => {
+    const server = await startServer({ secret: 'secret-1', clockOffsetMs: 30 * DAY_MS });
+    try {
+        const key = 'subtopics/aivideospath/standard_10/video.mp4';
+        const res = await fetch(storedLink(server.baseUrl, key, 'secret-1'), { redirect: 'manual' });
+
+        assert.strictEqual(res.status, 302);
+        assert.strictEqual(res.headers.get('location'), `${server.baseUrl}/assets/${key}`);
+    } finally {
+        server.stop();
+    }
+});
+
+test('rotating PLAYBACK_URL_SECRET revokes stored playback links', async () => {
+    const server = await startServer({ secret: 'secret-2' });
+    try {
+        const key = 'subtopics/aivideospath/standard_10/video.mp4';
+        const res = await fetch(storedLink(server.baseUrl, key, 'secret-1'), { redirect: 'manual' });
+
+        assert.strictEqual(res.status, 403);
+    } finally {
+        server.stop();
+    }
+});
+
+test('a playback path that is not valid percent-encoding is not treated as a stored key', async () => {
+    const server = await startServer({ secret: 'secret-1' });
+    try {
+        const res = await fetch(`${server.baseUrl}/api/copy-s3-file`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                sourceUrl: `${server.baseUrl}/api/media/play/subtopics/%E0%A4%A.mp4?sig=x`,
+                destinationPath: 'subtopics/aivideospath/copy.mp4',
+                subtopicId: 'abc',
+                subjectName: 'Mathematics'
+            })
+        });
+
+        assert.strictEqual(res.status, 400);
+    } finally {
+        server.stop();
+    }
+});